@@ -0,0 +1,483 @@
+/**
+ * ConnectorLayer - Page-level connectors between elements of different Isometric 3D instances
+ *
+ * Each instance draws its own connectors in a .scene-overlay SVG that rotates with (and is clipped
+ * to) its perspective. ConnectorLayer draws connectors in one fixed SVG on top of the page instead,
+ * so arrows can link elements that live in different containers:
+ * - Endpoints are looked up by element id in every instance registered in window.isometric3DInstances
+ * - Connectors are redrawn whenever a camera of an involved instance moves, and on scroll/resize
+ * - Connectors with groups are dimmed while an involved instance highlights other groups
+ * - Anchors, paths, routing, strokes, markers and labels are built by the instance's connector renderer
+ *
+ * @class ConnectorLayer
+ * @param {Object} options - Configuration options
+ * @param {Array<Object>} options.connectors - Connector definitions: {id, ids: "fromId,toId", positions, color,
+ *   width, opacity, lineStyle, dashArray, linecap, className, endStyles, curve, cornerRadius, vertices, routing,
+ *   label, labelPosition, labelStyle, groups} (same values as scene connectors)
+ * @param {Object} options.connectorDefaults - Defaults for all connectors (same properties)
+ * @param {number} options.zIndex - z-index of the page overlay (default: 1000)
+ * @param {number} options.settleDuration - Time in ms to keep redrawing after a camera update, to follow CSS transitions (default: 400)
+ */
+class ConnectorLayer {
+    constructor(options = {}) {
+        this.options = {
+            zIndex: 1000,
+            settleDuration: 400,
+            ...options
+        };
+        this.connectorDefaults = {
+            color: '#4CAF50',
+            width: 3,
+            opacity: 1,
+            lineStyle: 'solid',
+            curve: 'bezier',
+            endStyles: ',arrow',
+            ...(options.connectorDefaults || {})
+        };
+
+        this.connectors = [];
+        this.connectorIdCounter = 1;
+        this.routeCache = new Map(); // Connector id → {start, end, points} of automatic routes
+        this.redrawFrame = null;
+        this.redrawClock = null; // Instance whose clock scheduled redrawFrame (null = requestAnimationFrame)
+        this.settleUntil = 0;
+        this.settleClock = null; // Instance whose clock settleUntil is measured on
+
+        // Instance → {onSceneUpdate, onHighlightChange} for the instances we listen to
+        this.subscriptions = new Map();
+
+        this.scheduleRedraw = this.scheduleRedraw.bind(this);
+
+        this.svg = this.createOverlay();
+        (options.connectors || []).forEach(connector => this.addConnector(connector));
+
+        window.addEventListener('scroll', this.scheduleRedraw, { passive: true });
+        window.addEventListener('resize', this.scheduleRedraw);
+
+        this.scheduleRedraw();
+    }
+
+    /**
+     * Creates the fixed, click-through SVG overlay covering the viewport
+     * @private
+     * @returns {SVGSVGElement}
+     */
+    createOverlay() {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.classList.add('connector-layer');
+        svg.style.position = 'fixed';
+        svg.style.left = '0';
+        svg.style.top = '0';
+        svg.style.width = '100vw';
+        svg.style.height = '100vh';
+        svg.style.pointerEvents = 'none';
+        svg.style.overflow = 'visible';
+        svg.style.zIndex = String(this.options.zIndex);
+        document.body.appendChild(svg);
+        return svg;
+    }
+
+    /**
+     * Adds a connector between two elements (in the same or different instances)
+     * @public
+     * @param {Object} connector - Connector definition with ids: "fromId,toId"
+     * @returns {string} - Connector id
+     */
+    addConnector(connector) {
+        if (!connector || typeof connector !== 'object' || !connector.ids) {
+            throw new Error('ConnectorLayer connectors need ids: "fromId,toId"');
+        }
+
+        const definition = JSON.parse(JSON.stringify(connector));
+        if (definition.id === undefined || this.connectors.some(other => other.id === String(definition.id))) {
+            definition.id = `page-connector-${this.connectorIdCounter++}`;
+        }
+        definition.id = String(definition.id);
+
+        this.connectors.push(definition);
+        this.scheduleRedraw();
+        return definition.id;
+    }
+
+    /**
+     * Removes a connector
+     * @public
+     * @param {string} id - Connector id
+     * @returns {boolean} - True if the connector existed
+     */
+    removeConnector(id) {
+        const index = this.connectors.findIndex(connector => connector.id === String(id));
+        if (index === -1) return false;
+
+        this.connectors.splice(index, 1);
+        this.routeCache.delete(String(id));
+        this.scheduleRedraw();
+        return true;
+    }
+
+    /**
+     * Returns copies of all connector definitions
+     * @public
+     * @returns {Array<Object>}
+     */
+    getConnectors() {
+        return this.connectors.map(connector => JSON.parse(JSON.stringify(connector)));
+    }
+
+    /**
+     * Finds the registered instance whose container holds an element
+     * @private
+     * @param {HTMLElement} element
+     * @returns {Object|null} - Isometric3D instance
+     */
+    getInstanceFor(element) {
+        const instances = Object.values(window.isometric3DInstances || {});
+        return instances.find(instance => instance.container && instance.container.contains(element)) || null;
+    }
+
+    /**
+     * Listens to camera and highlight changes of the instances involved in connectors
+     * Instances can be (re)created at any time with createIsometric3D, so this runs on every redraw.
+     * @private
+     * @param {Set<Object>} instances - Instances used by the current connectors
+     */
+    updateSubscriptions(instances) {
+        this.subscriptions.forEach((handlers, instance) => {
+            if (!instances.has(instance)) {
+                instance.off('sceneUpdate', handlers.onSceneUpdate);
+                instance.off('highlightChange', handlers.onHighlightChange);
+                this.subscriptions.delete(instance);
+            }
+        });
+
+        instances.forEach(instance => {
+            if (this.subscriptions.has(instance)) return;
+            const handlers = {
+                onSceneUpdate: () => this.onSceneUpdate(instance),
+                onHighlightChange: () => this.onHighlightChange(instance)
+            };
+            instance.on('sceneUpdate', handlers.onSceneUpdate);
+            instance.on('highlightChange', handlers.onHighlightChange);
+            this.subscriptions.set(instance, handlers);
+        });
+    }
+
+    /**
+     * Camera moved: redraw, and keep redrawing briefly while CSS transitions finish
+     * @private
+     * @param {Object} instance - Instance whose camera moved
+     */
+    onSceneUpdate(instance) {
+        // On the virtual clock, follow the camera within the frame being rendered (see renderFrame)
+        if (instance.virtualClock) {
+            this.redraw();
+            return;
+        }
+        this.settleClock = instance;
+        this.settleUntil = this.getClockTime(instance) + this.options.settleDuration;
+        this.scheduleRedraw(instance);
+    }
+
+    /**
+     * Highlight changed: redraw with the new dimming
+     * @private
+     * @param {Object} instance - Instance whose highlight changed
+     */
+    onHighlightChange(instance) {
+        if (instance.virtualClock) {
+            this.redraw();
+            return;
+        }
+        this.scheduleRedraw(instance);
+    }
+
+    /**
+     * Redraws on the next animation frame (several updates share one redraw)
+     * Frames requested for an instance come from its clock (requestFrame/now), so they follow
+     * the instance's virtual clock.
+     * @public
+     * @param {Object} instance - Instance whose clock to use (default: requestAnimationFrame)
+     */
+    scheduleRedraw(instance = null) {
+        if (this.redrawFrame || !this.svg) return;
+
+        // Also called as a scroll/resize listener with an Event
+        const clock = instance && typeof instance.requestFrame === 'function' ? instance : null;
+        const onFrame = () => {
+            this.redrawFrame = null;
+            this.redrawClock = null;
+            this.redraw();
+            if (!this.settleClock?.virtualClock && this.getClockTime(this.settleClock) < this.settleUntil) {
+                this.scheduleRedraw(clock);
+            }
+        };
+
+        this.redrawClock = clock;
+        this.redrawFrame = clock ? clock.requestFrame(onFrame) : requestAnimationFrame(onFrame);
+    }
+
+    /**
+     * Current time on an instance's clock (virtual time while its virtual clock is on)
+     * @private
+     * @param {Object|null} instance - Instance, or null for performance.now()
+     * @returns {number} - Time in ms
+     */
+    getClockTime(instance) {
+        return instance && typeof instance.now === 'function' ? instance.now() : performance.now();
+    }
+
+    /**
+     * Returns the on-screen corners of an element; cuboids include their faces
+     * @private
+     * @param {HTMLElement} element
+     * @returns {Object|null} - Corners {tl, tr, br, bl} in viewport coordinates, or null if not rendered
+     */
+    getElementCorners(element) {
+        const parts = [element];
+        if (element.classList.contains('cuboid')) {
+            parts.push(...element.querySelectorAll(':scope > .front, :scope > .back, :scope > .left, :scope > .right, :scope > .top, :scope > .bottom'));
+        }
+
+        const rects = parts.map(part => part.getBoundingClientRect()).filter(rect => rect.width > 0 || rect.height > 0);
+        if (rects.length === 0) return null;
+
+        const left = Math.min(...rects.map(rect => rect.left));
+        const top = Math.min(...rects.map(rect => rect.top));
+        const right = Math.max(...rects.map(rect => rect.right));
+        const bottom = Math.max(...rects.map(rect => rect.bottom));
+        return {
+            tl: { x: left, y: top },
+            tr: { x: right, y: top },
+            br: { x: right, y: bottom },
+            bl: { x: left, y: bottom }
+        };
+    }
+
+    /**
+     * Returns the on-screen rectangles of all scenes and cuboids of the registered instances
+     * @private
+     * @returns {Array<Object>} - [{element, x1, y1, x2, y2}]
+     */
+    getRoutingObstacles() {
+        const obstacles = [];
+        Object.values(window.isometric3DInstances || {}).forEach(instance => {
+            if (!instance.container) return;
+            instance.container.querySelectorAll('.scene, .cuboid').forEach(element => {
+                const corners = this.getElementCorners(element);
+                if (!corners) return;
+                obstacles.push({ element, x1: corners.tl.x, y1: corners.tl.y, x2: corners.br.x, y2: corners.br.y });
+            });
+        });
+        return obstacles;
+    }
+
+    /**
+     * Returns the automatic route of a connector, computing it if the time budget allows
+     * Works like the instance's getAutoRoute, but on screen and around the scenes of every instance.
+     * Routes are cached per connector and reused until its anchor points change.
+     * @private
+     * @param {Object} host - Instance whose router is used
+     * @param {Object} connector - Connector definition
+     * @param {Object} start - Start anchor {x, y, side}
+     * @param {Object} end - End anchor {x, y, side}
+     * @param {HTMLElement} fromElement - Start element
+     * @param {HTMLElement} toElement - End element
+     * @param {Object} state - Per-redraw routing state {obstacles, deadline, routed, pending}
+     * @returns {Array<Object>|null} - Route points, or null (not routed yet / no route found)
+     */
+    getAutoRoute(host, connector, start, end, fromElement, toElement, state) {
+        const samePoint = (a, b) => Math.abs(a.x - b.x) < 0.5 && Math.abs(a.y - b.y) < 0.5;
+        const cached = this.routeCache.get(connector.id);
+        if (cached && samePoint(cached.start, start) && samePoint(cached.end, end)) {
+            return cached.points;
+        }
+
+        if (performance.now() >= state.deadline) {
+            state.pending = true;
+            return null;
+        }
+
+        // Every scene except the endpoints, their ancestors and their descendants is an obstacle
+        state.obstacles = state.obstacles || this.getRoutingObstacles();
+        const isRelated = (element, endpoint) => element.contains(endpoint) || endpoint.contains(element);
+        const obstacles = state.obstacles.filter(obstacle =>
+            !isRelated(obstacle.element, fromElement) && !isRelated(obstacle.element, toElement));
+
+        const isFirstRoute = state.routed === 0;
+        state.routed++;
+
+        const points = host.findOrthogonalRoute(start, end, start.side, end.side, obstacles, state.deadline);
+
+        if (points === undefined) {
+            // Out of time: retry on the next redraw, unless even a whole redraw's budget wasn't enough
+            if (!isFirstRoute) {
+                state.pending = true;
+                return null;
+            }
+            console.warn(`⚠️ Connector ${connector.ids}: automatic routing exceeded the ${host.connectorRouting.timeBudget}ms budget, using default routing`);
+        }
+
+        this.routeCache.set(connector.id, { start: { x: start.x, y: start.y }, end: { x: end.x, y: end.y }, points: points || null });
+        return points || null;
+    }
+
+    /**
+     * Checks whether a connector is dimmed by the highlight state of its instances
+     * Dimmed when any involved instance highlights something and none of them matches the connector's groups.
+     * @private
+     * @returns {boolean}
+     */
+    isDimmed(groups, instances) {
+        const highlighting = instances.filter(instance => instance.getEffectiveHighlightKeys().length > 0);
+        if (highlighting.length === 0) return false;
+        return !highlighting.some(instance => instance.connectorMatchesHighlight(groups));
+    }
+
+    /**
+     * Redraws all page connectors from the current on-screen element positions
+     * Anchors, paths, strokes, line endings and labels come from the instance renderer (the instance of
+     * the connector's start element, or of its end element), so page connectors look like scene connectors.
+     * @public
+     */
+    redraw() {
+        if (!this.svg) return;
+
+        this.svg.innerHTML = '';
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        this.svg.appendChild(defs);
+        const labels = [];
+        const markers = new Set();
+        const usedInstances = new Set();
+        const routing = { obstacles: null, deadline: 0, routed: 0, pending: false };
+
+        this.connectors.forEach(connector => {
+            const settings = { ...this.connectorDefaults, ...connector };
+
+            const [fromId, toId] = settings.ids.split(',').map(value => value.trim());
+
+            const fromElement = document.getElementById(fromId);
+            const toElement = document.getElementById(toId);
+            if (!fromElement || !toElement) return;
+
+            const instances = [this.getInstanceFor(fromElement), this.getInstanceFor(toElement)].filter(Boolean);
+            instances.forEach(instance => usedInstances.add(instance));
+            const host = instances[0];
+            if (!host) return;
+
+            const { fromPoint, toPoint } = host.parseConnectorEndpoints(settings);
+            const fromCorners = this.getElementCorners(fromElement);
+            const toCorners = this.getElementCorners(toElement);
+            if (!fromCorners || !toCorners) return;
+
+            // Face anchors resolve on the on-screen outline, which already includes the element's height
+            const start = host.resolveConnectorAnchor(fromElement, fromCorners, fromPoint || 'center',
+                host.getSpreadFraction(settings, 'from', this.connectors));
+            const end = host.resolveConnectorAnchor(toElement, toCorners, toPoint || 'center',
+                host.getSpreadFraction(settings, 'to', this.connectors));
+
+            let autoRoute = null;
+            if ((settings.routing || host.connectorDefaults.routing) === 'auto') {
+                if (routing.deadline === 0) {
+                    routing.deadline = host.virtualClock ? Infinity : performance.now() + host.connectorRouting.timeBudget;
+                }
+                autoRoute = this.getAutoRoute(host, settings, start, end, fromElement, toElement, routing);
+            }
+
+            const keys = host.getConnectorGroups(settings);
+            const dimmed = this.isDimmed(keys, instances);
+            const layerColor = instances.map(instance => instance.getConnectorLayerColor(keys)).find(Boolean);
+            const color = layerColor || settings.color;
+            const stroke = host.getConnectorStroke(settings);
+            if (dimmed) {
+                stroke.opacity *= host.dimmingAlpha.svg;
+            }
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', host.getConnectorPathData(settings, start, end, start.side, end.side, autoRoute));
+            path.setAttribute('stroke', color);
+            path.setAttribute('stroke-width', String(stroke.width));
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke-linecap', stroke.linecap);
+            if (stroke.opacity !== 1) path.setAttribute('stroke-opacity', String(stroke.opacity));
+            if (stroke.dashArray) path.setAttribute('stroke-dasharray', stroke.dashArray);
+            path.setAttribute('data-connector-id', connector.id);
+            path.setAttribute('data-connector-from', fromId);
+            path.setAttribute('data-connector-to', toId);
+            if (keys.length > 0) path.setAttribute('data-connector-keys', keys.join(','));
+            path.setAttribute('class', ['connector-path', ...stroke.className.split(/\s+/).filter(Boolean)].join(' '));
+            if (dimmed) path.classList.add('dimmed');
+            this.svg.appendChild(path);
+
+            // Line endings are only shown on non-dimmed connectors (as in the scenes)
+            const { startLine, endLine } = dimmed ? {} : host.getConnectorLineEndings(settings);
+            [[startLine, start, 'start'], [endLine, end, 'end']].forEach(([lineType, point, side]) => {
+                const type = lineType === 'arrow-circle' ? 'arrow' : lineType;
+                if (type === 'arrow' || type === 'arrowSmall') {
+                    // Prefixed, so the ids don't clash with the markers in the scene overlays
+                    const markerId = `page-${host.getArrowMarkerId(type, color, stroke)}`;
+                    if (!markers.has(markerId)) {
+                        markers.add(markerId);
+                        defs.appendChild(host.createArrowMarker(markerId, { type, color, opacity: stroke.opacity }));
+                    }
+                    path.setAttribute(`marker-${side}`, `url(#${markerId})`);
+                }
+                if (lineType === 'circle' || lineType === 'arrow-circle') {
+                    const circle = host.createConnectorEndingCircle(side, color, stroke, keys);
+                    circle.setAttribute('cx', point.x);
+                    circle.setAttribute('cy', point.y);
+                    this.svg.appendChild(circle);
+                }
+            });
+
+            if (settings.label !== undefined && settings.label !== null && settings.label !== '') {
+                // Added with the paths, measured after all of them in one read pass
+                const text = host.createConnectorLabelText(settings);
+                this.svg.appendChild(text);
+                labels.push({ host, path, settings, color, dimmed, text });
+            }
+        });
+
+        // Reads: label anchor points and text widths
+        labels.forEach(label => {
+            label.point = label.host.getConnectorLabelPoint(label.path, label.settings);
+            label.width = label.host.measureConnectorLabelText(label.text);
+        });
+
+        // Labels go above all connectors
+        labels.forEach(({ host, settings, color, dimmed, text, point, width }) => {
+            if (point) {
+                this.svg.appendChild(host.createConnectorLabel(text, point, width, settings, color, dimmed));
+            } else {
+                text.remove();
+            }
+        });
+
+        this.updateSubscriptions(usedInstances);
+
+        // Draw again once the remaining automatic routes fit into the next redraw's budget
+        if (routing.pending) this.scheduleRedraw();
+    }
+
+    /**
+     * Destroys the layer: removes the overlay and all listeners
+     * @public
+     */
+    destroy() {
+        if (this.redrawFrame) {
+            if (this.redrawClock) {
+                this.redrawClock.cancelFrame(this.redrawFrame);
+            } else {
+                cancelAnimationFrame(this.redrawFrame);
+            }
+            this.redrawFrame = null;
+            this.redrawClock = null;
+        }
+        this.updateSubscriptions(new Set());
+        window.removeEventListener('scroll', this.scheduleRedraw);
+        window.removeEventListener('resize', this.scheduleRedraw);
+        if (this.svg) {
+            this.svg.remove();
+            this.svg = null;
+        }
+    }
+}
@@ -10,7 +10,12 @@ class Isometric3D {
    * @param {Object} options.mouseSensitivity - Mouse drag sensitivity
    * @param {Object} options.rotationLimits - Min/max rotation constraints
    * @param {string} options.urlPrefix - Prefix for URL hash parameters
+   * @param {string} options.urlFormat - 'params' (default, one query parameter per value) or 'token' (one compact state token for all instances)
+   * @param {string} options.urlTokenParam - Query parameter holding the state token (default: 'view', share it between instances)
+   * @param {string} options.history - Browser history: 'replace' (default) or 'push' (one entry per navigation step, restored on Back/Forward)
    * @param {boolean} options.showCompactControls - Show compact control panel
+   * @param {boolean} options.showExportButton - Show a PNG download button in the compact controls (default: true)
+   * @param {boolean} options.showHighlightLegend - Show a clickable legend of all highlight groups
    * @param {boolean} options.debugShadows - Enable shadow debugging
    * @param {string} options.navSelectedTarget - Navigation target behavior
    * @param {Array} options.connectors - Connector definitions array (alternative to data-connectors HTML attribute)
@@ -20,6 +25,27 @@ class Isometric3D {
    * @param {number} options.dimmingAlpha.borderColor - Alpha for border colors (default: 0.2)
    * @param {number} options.dimmingAlpha.color - Alpha for text colors (default: 0.3)
    * @param {number} options.dimmingAlpha.svg - Alpha for SVG stroke/fill (default: 0.25)
+   * @param {boolean} options.hoverHighlight - Temporarily highlight groups and connectors related to the hovered element (default: false)
+   * @param {number} options.hoverHighlightDelay - Hover time in ms before the hover highlight is shown (default: 150)
+   * @param {number} options.connectorHitWidth - Width in px of the invisible stroke used for connector clicks and hovers (default: 12, 0 disables)
+   * @param {number} options.connectorRedrawThrottle - Minimum time in ms between connector redraws while dragging (default: 50)
+   * @param {Object} options.connectorBundling - Edge bundling settings
+   * @param {boolean} options.connectorBundling.enabled - Merge related connectors into shared trunks (default: false)
+   * @param {string} options.connectorBundling.by - 'scene' (endpoints in the same parent scenes, default) or 'group'
+   * @param {number} options.connectorBundling.minSize - Minimum number of connectors per bundle (default: 2)
+   * @param {number} options.connectorBundling.fan - Share of the distance used for fanning out at each end, 0-0.5 (default: 0.25)
+   * @param {Object} options.connectorRouting - Automatic routing settings for connectors with routing: 'auto'
+   * @param {number} options.connectorRouting.gridSize - Routing grid cell size in px (default: 10)
+   * @param {number} options.connectorRouting.padding - Clearance around other scenes in px (default: 12)
+   * @param {number} options.connectorRouting.timeBudget - Max routing time per redraw in ms (default: 8)
+   * @param {Object} options.highlightTransition - Dimming/restoring transition settings
+   * @param {number} options.highlightTransition.duration - Transition duration in ms (default: 300, 0 disables)
+   * @param {string|Function} options.highlightTransition.easing - 'linear', 'easeOutQuad', 'easeInOutQuad' (default), 'easeInOutCubic' or a function
+   * @param {number} options.navDuration - Camera navigation duration in ms (default: 1200, overridable per element with data-nav-duration)
+   * @param {string|Function} options.navEasing - Camera navigation easing name or function (default: 'easeInOutQuad', overridable per element with data-nav-easing)
+   * @param {number} options.cameraChangeThrottle - Minimum time in ms between cameraChange events (default: 100)
+   * @param {Object} options.easings - Custom named easing functions, e.g. { snappy: t => 1 - Math.pow(1 - t, 5) }
+   * @param {Object} options.highlightLayers - Named highlight layer styles, e.g. { incident: { color: '#e53935', tintAlpha: 0.35 } }
    */
   constructor(containerId, options = {}) {
     this.containerId = containerId;
@@ -56,6 +82,7 @@ class Isometric3D {
 
     this.urlUpdateTimeout = null;
     this.labelUpdateTimeout = null; // Track label update timeout to prevent flicker
+    this.labelUpdatePending = false; // Label update waiting for the next renderFrame() on the virtual clock
     this.isDragging = false;
     this.isClickNavigation = false; // Track if navigation is from a click (vs manual drag)
     this.isNavButtonClick = false; // Track if navigation is from nav button click
@@ -66,6 +93,7 @@ class Isometric3D {
     this.lastUpdateTime = 0; // For throttling mouse events
     this.mouseMoveThrottle = 16; // ~60fps (16ms between updates)
     this.isAnimating = false; // Track when navigation animation is running
+    this.cameraAnimation = null; // Running camera animation {promise, resolve}, see startCameraAnimation
     this.isInitialized = false; // Guard to prevent duplicate initialization
     this.shadowsCreated = false; // Guard to prevent creating shadows twice
     this.animationFrameId = null; // Track requestAnimationFrame for smooth dragging
@@ -99,8 +127,24 @@ class Isometric3D {
     // URL parameter prefix for this instance
     this.urlPrefix = options.bookmarkPrefix || containerId + '_';
 
+    // URL state format: legacy per-value params or a compact token shared by all instances
+    this.urlFormat = options.urlFormat === 'token' ? 'token' : 'params';
+    this.urlTokenParam = options.urlTokenParam || 'view';
+    this.urlWritePending = false;
+    this.pendingUrl = null;
+
+    // Browser history: 'replace' keeps a single entry, 'push' adds one entry per nav-point step
+    this.historyMode = options.history === 'push' ? 'push' : 'replace';
+    this.historyPushPending = false;
+    this.historyEntryKind = 'step'; // 'step' (nav point) or 'adjust' (collapsed manual camera changes)
+    this.isRestoringHistory = false;
+
     // Compact controls option
     this.showCompactControls = options.showCompactControls || false;
+    this.showExportButton = options.showExportButton ?? true;
+
+    // Highlight legend option (clickable list of all groups)
+    this.showHighlightLegend = options.showHighlightLegend || false;
 
     // Debug mode for shadow visualization
     this.debugShadows = options.debugShadows || false;
@@ -110,17 +154,75 @@ class Isometric3D {
     // Options: 'clicked' (default), 'top', 'bottom', 'front', 'back', 'left', 'right'
     this.navSelectedTarget = options.navSelectedTarget || 'clicked';
 
+    // Hover highlighting: temporarily highlight everything related to the hovered element
+    this.hoverHighlightEnabled = options.hoverHighlight || false;
+    this.hoverHighlightDelay = options.hoverHighlightDelay ?? 150; // ms before the hover highlight kicks in
+    this.hoverHighlightState = null;   // {element, keys} while a hover highlight is shown
+    this.hoverHighlightTarget = null;  // element currently under the pointer (pending or shown)
+    this.hoverHighlightTimer = null;
+
     // Connector definitions (can be provided via options instead of HTML data-connectors attribute)
     this.connectors = options.connectors || null;
 
+    // Connector definitions managed at runtime (parsed once during initialization, each with a stable id)
+    this.connectorDefinitions = null;
+    this.connectorIdCounter = 1;
+    this.connectorRedrawFrame = null;
+
+    // Retained connector nodes (connector id → {group, path, hit, endings, animation, label})
+    this.connectorNodes = new Map();
+    this.connectorNodeCounter = 1;
+
+    // Minimum time in ms between connector redraws while the scene is dragged
+    this.connectorRedrawThrottle = options.connectorRedrawThrottle ?? 50;
+    this.connectorRedrawTimer = null;
+    this.lastConnectorRedraw = 0;
+
+    // Connector interaction: clicks and hovers are hit-tested on a wider invisible stroke
+    this.connectorHitWidth = options.connectorHitWidth ?? 12;
+    this.hoveredConnectorId = null;
+
     // Default connector settings
     this.connectorDefaults = {
       startLine: options.connectorDefaults?.startLine || undefined,  // 'arrow', 'arrowSmall', 'circle', 'arrow-circle', or undefined
       endLine: options.connectorDefaults?.endLine || undefined,        // 'arrow', 'arrowSmall', 'circle', 'arrow-circle', or undefined
       lineStyle: options.connectorDefaults?.lineStyle || 'solid',    // 'solid' or 'dashed'
-      animationStyle: options.connectorDefaults?.animationStyle || undefined  // 'circle' or undefined
+      width: options.connectorDefaults?.width ?? 3,                    // Stroke width in px
+      opacity: options.connectorDefaults?.opacity ?? 1,                // Stroke (and marker) opacity 0-1
+      dashArray: options.connectorDefaults?.dashArray || undefined,    // Custom dash pattern, overrides lineStyle
+      linecap: options.connectorDefaults?.linecap || 'round',          // 'round', 'butt' or 'square'
+      className: options.connectorDefaults?.className || '',           // Extra CSS class(es) for connector paths
+      animationStyle: options.connectorDefaults?.animationStyle || undefined,  // 'circle', 'dash', 'pulse' or undefined
+      animationDuration: options.connectorDefaults?.animationDuration ?? 3,    // Seconds per traversal
+      animationSpeed: options.connectorDefaults?.animationSpeed || undefined,  // px/s, overrides animationDuration
+      animationDirection: options.connectorDefaults?.animationDirection || 'forward', // 'forward', 'reverse' or 'both'
+      markerCount: options.connectorDefaults?.markerCount ?? 1,                // Animated markers per direction
+      throughput: options.connectorDefaults?.throughput || undefined,          // Markers per 100px, overrides markerCount
+      curve: options.connectorDefaults?.curve || 'orthogonal',        // 'orthogonal', 'rounded', 'bezier' or 'straight'
+      cornerRadius: options.connectorDefaults?.cornerRadius ?? 20,    // Corner radius for curve: 'rounded'
+      routing: options.connectorDefaults?.routing || 'manual',        // 'manual' (vertices) or 'auto' (avoid other scenes)
+      labelPosition: options.connectorDefaults?.labelPosition ?? 'middle', // 'start', 'middle', 'end' or 0-1 fraction
+      labelStyle: options.connectorDefaults?.labelStyle || {}         // {color, background, fontSize, fontFamily, fontWeight}
     };
 
+    // Automatic connector routing (grid-based A* around other scenes)
+    this.connectorRouting = {
+      gridSize: options.connectorRouting?.gridSize ?? 10,     // Grid cell size in px
+      padding: options.connectorRouting?.padding ?? 12,       // Clearance around obstacles in px
+      timeBudget: options.connectorRouting?.timeBudget ?? 8   // Max routing time per redraw in ms
+    };
+    this.routingObstacles = [];
+
+    // Edge bundling: related connectors share a trunk and fan out near their endpoints
+    this.connectorBundling = {
+      enabled: options.connectorBundling?.enabled || false,
+      by: options.connectorBundling?.by || 'scene',         // 'scene' or 'group'
+      minSize: options.connectorBundling?.minSize ?? 2,     // Connectors per bundle
+      fan: options.connectorBundling?.fan ?? 0.25           // Share of the distance used for fanning out
+    };
+    this.connectorRouteCache = new Map(); // connectorKey → {startPoint, endPoint, points}
+    this.connectorRouteFrame = null;
+
     // Dimming alpha values for non-highlighted elements
     this.dimmingAlpha = {
       backgroundColor: options.dimmingAlpha?.backgroundColor ?? 0.2,  // 20% opacity for backgrounds
@@ -129,29 +231,94 @@ class Isometric3D {
       svg: options.dimmingAlpha?.svg ?? 0.25                          // 25% opacity for SVG elements
     };
 
+    // Highlight transitions: dimming and restoring tween colors instead of swapping them
+    this.highlightTransition = {
+      duration: options.highlightTransition?.duration ?? 300,            // ms, 0 = instant
+      easing: options.highlightTransition?.easing || 'easeInOutQuad'     // name or function(t)
+    };
+    this.colorTransitions = new Map(); // element → {from, to, amount, startTime}
+    this.highlightTransitionEasing = null; // {easing, resolved} cache, see getHighlightTransitionEasing
+
+    // Camera animation timing: defaults for navigation, overridable per nav element
+    this.easings = options.easings || {};                  // Custom named easings (name → function(t))
+    this.navDuration = options.navDuration ?? 1200;        // ms
+    this.navEasing = options.navEasing || 'easeInOutQuad'; // name or function(t)
+    this.colorTransitionFrame = null;
+
     // Event listeners for custom events
     this.eventListeners = {
-      navigationChange: []
+      navigationChange: [],
+      highlightChange: [],
+      connectorClick: [],
+      connectorHover: [],
+      sceneUpdate: [],
+      ready: [],
+      cameraChange: [],
+      animationStart: [],
+      animationEnd: [],
+      autoplayStart: [],
+      autoplayStop: [],
+      autoplayStep: [],
+      elementClick: [],
+      elementHover: [],
+      resize: [],
+      destroy: []
     };
 
+    // What caused the current change ('user', 'url', 'scroll', 'autoplay'; null = 'api'), see runWithTrigger
+    this.eventTrigger = null;
+    this.isReady = false;
+
+    // cameraChange is throttled; the last change in a burst is always delivered
+    this.cameraChangeThrottle = options.cameraChangeThrottle ?? 100;
+    this.lastCameraChange = 0;
+    this.cameraChangeTimer = null;
+    this.cameraChangeTrigger = null;
+    this.lastCameraChangeKey = null;
+    this.hoveredElement = null; // Element reported by the last elementHover
+
+    // Active highlight keys (null when nothing is highlighted)
+    this.currentHighlightKeys = null;
+    this.activeSourceHighlight = null; // {scene, keys} source scene lit by the last nav activation
+
+    // Named highlight layers: configured styles and active layers (name → {keys, color, tintAlpha})
+    this.highlightLayerStyles = options.highlightLayers || {};
+    this.highlightLayers = new Map();
+    this.highlightLayerColorIndex = new Map();
+    this.highlightLayerTransitions = new Map(); // Tinted element → its inline transition before tinting
+
+    // Virtual clock for deterministic frame stepping (null = real time, see setVirtualClock)
+    this.virtualClock = null;
+    this.clockOffset = 0; // Added to performance.now() so time continues from the virtual clock after it is switched off
+    this.handedBackFrames = new Map(); // Frames pending when the virtual clock was switched off (id → callback)
+
     // Autoplay state
     this.isAutoPlaying = false;
     this.autoPlayTimer = null;
     this.autoPlayInterval = 5000; // 5 seconds
+    this.autoPlayHighlightOnly = false;
     this.currentNavIndex = -1;
+    this.activeNavIndex = -1; // Nav point shown as active (see setActiveNavPoint)
     this.navElements = null;
 
     // Bind methods to preserve 'this' context
-    this.onMouseDown = this.onMouseDown.bind(this);
-    this.onMouseMove = this.onMouseMove.bind(this);
-    this.onMouseUp = this.onMouseUp.bind(this);
-    this.onTouchStart = this.onTouchStart.bind(this);
-    this.onTouchMove = this.onTouchMove.bind(this);
-    this.onTouchEnd = this.onTouchEnd.bind(this);
-    this.onWheel = this.onWheel.bind(this);
-    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onMouseDown = this.withUserTrigger(this.onMouseDown);
+    this.onMouseMove = this.withUserTrigger(this.onMouseMove);
+    this.onMouseUp = this.withUserTrigger(this.onMouseUp);
+    this.onTouchStart = this.withUserTrigger(this.onTouchStart);
+    this.onTouchMove = this.withUserTrigger(this.onTouchMove);
+    this.onTouchEnd = this.withUserTrigger(this.onTouchEnd);
+    this.onWheel = this.withUserTrigger(this.onWheel);
+    this.onKeyDown = this.withUserTrigger(this.onKeyDown);
     this.onFocus = this.onFocus.bind(this);
     this.onBlur = this.onBlur.bind(this);
+    this.stepColorTransitions = this.stepColorTransitions.bind(this);
+    this.onHoverHighlight = this.withUserTrigger(this.onHoverHighlight);
+    this.onConnectorClick = this.withUserTrigger(this.onConnectorClick);
+    this.onConnectorHover = this.onConnectorHover.bind(this);
+    this.onElementClick = this.onElementClick.bind(this);
+    this.onElementHover = this.onElementHover.bind(this);
+    this.updateHighlightLegend = this.updateHighlightLegend.bind(this);
 
     this.init();
   }
@@ -208,6 +375,16 @@ class Isometric3D {
       this.createCompactControls();
     }
 
+    // Create highlight legend if enabled
+    if (this.showHighlightLegend) {
+      this.createHighlightLegend();
+    }
+
+    // Ad-hoc highlights are part of the URL state token
+    if (this.urlFormat === 'token') {
+      this.on('highlightChange', () => this.scheduleUrlWrite());
+    }
+
     // Add event listeners
     this.addEventListeners();
 
@@ -865,7 +1042,7 @@ class Isometric3D {
       element.classList.add('nav-clickable');
 
       // Add click event listener for navigation
-      element.addEventListener('click', (e) => {
+      element.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
 
@@ -880,7 +1057,7 @@ class Isometric3D {
           // Navigate to position with the element for auto-highlight
           this.navigateToPosition(xyz, zoom, element, pan);
         }
-      });
+      }));
     });
 
   }
@@ -931,7 +1108,7 @@ class Isometric3D {
     defaultPoint.className = 'nav-point active';
     defaultPoint.setAttribute('data-nav-index', -1);
 
-    defaultPoint.addEventListener('click', (e) => {
+    defaultPoint.addEventListener('click', this.withUserTrigger((e) => {
       e.preventDefault();
       e.stopPropagation();
 
@@ -945,14 +1122,14 @@ class Isometric3D {
       this.isNavButtonClick = true;
       const prefix = this.urlPrefix.replace('_', '');
       const baseUrl = window.location.pathname;
-      window.history.replaceState({}, '', `${baseUrl}?${prefix}-nav=0`);
+      this.replaceUrl(`${baseUrl}?${prefix}-nav=0`);
 
       this.setActiveNavPoint(-1);
       this.resetToDefault();
 
       // Reset flag
       this.isNavButtonClick = false;
-    });
+    }));
 
     // Add keyboard handler for default point
     defaultPoint.addEventListener('keydown', (e) => {
@@ -1032,7 +1209,7 @@ class Isometric3D {
       }
 
       // Add click handler
-      navPoint.addEventListener('click', (e) => {
+      navPoint.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
 
@@ -1050,7 +1227,7 @@ class Isometric3D {
 
         // Navigate to position with the element for auto-highlight
         this.navigateToPosition(item.xyz, item.zoom, item.element, item.pan);
-      });
+      }));
 
       // Add keyboard handler for Enter/Space
       navPoint.addEventListener('keydown', (e) => {
@@ -1090,6 +1267,8 @@ class Isometric3D {
   }
 
   resetToDefault(options = {}) {
+    this.cancelCameraAnimation('reset');
+
     // Sanitize translation before animating
     const sanitizedTranslation = this.sanitizeTranslation(this.initialTranslation);
     
@@ -1107,7 +1286,7 @@ class Isometric3D {
 
     // Clear URL completely (remove both query params and hash)
     const baseUrl = window.location.pathname;
-    window.history.replaceState({}, '', baseUrl);
+    this.replaceUrl(baseUrl);
 
     // Mark as click navigation to prevent URL updates during animation
     this.isClickNavigation = true;
@@ -1126,6 +1305,14 @@ class Isometric3D {
   }
 
   setActiveNavPoint(activeIndex, skipUrlUpdate = false) {
+    // A nav-point step by the user (or scrolling) gets its own history entry in 'push' mode
+    const trigger = this.getEventTrigger();
+    const isStep = activeIndex !== this.activeNavIndex || this.historyEntryKind === 'adjust';
+    if (!skipUrlUpdate && isStep && (trigger === 'user' || trigger === 'scroll')) {
+      this.requestHistoryPush('step');
+    }
+    this.activeNavIndex = activeIndex;
+
     const navPoints = this.container.querySelectorAll('.nav-point');
     navPoints.forEach((point, index) => {
       const pointIndex = parseInt(point.getAttribute('data-nav-index'));
@@ -1194,7 +1381,7 @@ class Isometric3D {
     }
 
     // Update URL without reloading
-    window.history.replaceState({}, '', newUrl);
+    this.replaceUrl(newUrl);
   }
 
   updateNavSelectedElements(activeIndex) {
@@ -1277,11 +1464,43 @@ class Isometric3D {
         element: activeElement,
         navSelectedElement: targetElement,
         id: activeElement.id || null,
-        key: activeElement.getAttribute('data-section') || activeElement.id || null
+        key: activeElement.getAttribute('data-section') || activeElement.id || null,
+        trigger: this.getEventTrigger()
       });
     }
   }
 
+  /**
+   * Navigate to a navigation point by its index in the navigation sequence
+   * @param {number} index - Index in navElements, or -1 for the overview (initial view)
+   * @param {Object} options - Options
+   * @param {boolean} options.skipScroll - Don't scroll the page back to the top for the overview
+   */
+  navigateToNavIndex(index, options = {}) {
+    this.currentNavIndex = index;
+
+    if (index === -1) {
+      this.setActiveNavPoint(-1);
+      this.resetView({ skipScroll: options.skipScroll });
+      return;
+    }
+
+    const navElement = this.navElements && this.navElements[index];
+    if (!navElement) return;
+
+    const xyz = navElement.getAttribute('data-nav-xyz');
+    const zoom = navElement.getAttribute('data-nav-zoom');
+    const pan = navElement.getAttribute('data-nav-pan');
+
+    if (xyz || zoom || pan) {
+      // Update navigation bar active state
+      this.setActiveNavPoint(index);
+
+      // Navigate to position
+      this.navigateToPosition(xyz, zoom, navElement, pan);
+    }
+  }
+
   /**
    * Toggle autoplay mode - cycles through navigation points automatically
    */
@@ -1296,26 +1515,36 @@ class Isometric3D {
   /**
    * Start autoplay - cycles through navigation points
    */
-  startAutoPlay(highlightOnly) {
+  startAutoPlay(highlightOnly, options = {}) {
     if (!this.navElements || this.navElements.length === 0) {
       return; // No navigation points to autoplay
     }
 
     this.isAutoPlaying = true;
+    this.autoPlayHighlightOnly = !!highlightOnly;
+    this.emitWithState('autoplayStart', { highlightOnly: !!highlightOnly, interval: this.autoPlayInterval });
 
-    // Start the autoplay cycle
-    this.advanceToNextNavPoint(highlightOnly);
+    // Start the autoplay cycle (or wait one interval, e.g. when resuming a restored state)
+    if (options.immediate === false) {
+      this.scheduleAutoPlayStep(highlightOnly);
+    } else {
+      this.advanceToNextNavPoint(highlightOnly);
+    }
   }
 
   /**
    * Stop autoplay
    */
   stopAutoPlay() {
+    const wasPlaying = this.isAutoPlaying;
     this.isAutoPlaying = false;
     if (this.autoPlayTimer) {
       clearTimeout(this.autoPlayTimer);
       this.autoPlayTimer = null;
     }
+    if (wasPlaying) {
+      this.emitWithState('autoplayStop');
+    }
   }
 
   /**
@@ -1339,44 +1568,247 @@ class Isometric3D {
       this.currentNavIndex = this.currentNavIndex + 1;
     }
 
-    if (this.currentNavIndex === -1) {
-      // Navigate to overview (reset view or just clear highlights)
+    this.runWithTrigger('autoplay', () => {
       if (highlightOnly) {
-        // Highlight-only mode: just clear highlights, don't change view
-        this.navigateHighlightOnly(-1);
+        // Highlight-only mode: update highlights without changing view (-1 clears them)
+        this.navigateHighlightOnly(this.currentNavIndex);
       } else {
-        // Full mode: reset view
-        this.setActiveNavPoint(-1);
-        this.resetView();
+        // Full mode: navigate to position with view change (-1 resets the view)
+        this.navigateToNavIndex(this.currentNavIndex);
       }
-    } else {
-      // Get the navigation element and trigger navigation
-      const navElement = this.navElements[this.currentNavIndex];
-      if (navElement) {
-        if (highlightOnly) {
-          // Highlight-only mode: update highlights without changing view
-          this.navigateHighlightOnly(this.currentNavIndex);
+
+      this.emitWithState('autoplayStep', {
+        index: this.currentNavIndex,
+        element: this.navElements[this.currentNavIndex] || null,
+        highlightOnly: !!highlightOnly
+      });
+    });
+
+    // Schedule next advancement
+    this.scheduleAutoPlayStep(highlightOnly);
+  }
+
+  /**
+   * Schedule the next autoplay step after autoPlayInterval
+   * @param {boolean} highlightOnly - Highlight-only mode
+   * @private
+   */
+  scheduleAutoPlayStep(highlightOnly) {
+    clearTimeout(this.autoPlayTimer);
+    this.autoPlayTimer = setTimeout(() => {
+      this.advanceToNextNavPoint(highlightOnly);
+    }, this.autoPlayInterval);
+  }
+
+  /**
+   * Current animation time: performance.now(), or the virtual time while the virtual clock is on
+   * After the virtual clock is switched off, time continues from the last virtual time at real speed.
+   * @returns {number} - Time in ms
+   */
+  now() {
+    return this.virtualClock ? this.virtualClock.base + this.virtualClock.time : performance.now() + this.clockOffset;
+  }
+
+  /**
+   * requestAnimationFrame for scene animations; on the virtual clock the callback runs in the next renderFrame()
+   * @param {Function} callback - Called with the frame timestamp
+   * @returns {number} - Frame id for cancelFrame (negative for virtual frames)
+   */
+  requestFrame(callback) {
+    if (!this.virtualClock) {
+      // A frame requested just before the virtual clock was switched on waits for renderFrame() too (same id)
+      const id = requestAnimationFrame(() => {
+        if (this.virtualClock) {
+          this.virtualClock.callbacks.set(id, callback);
         } else {
-          // Full mode: navigate to position with view change
-          const xyz = navElement.getAttribute('data-nav-xyz');
-          const zoom = navElement.getAttribute('data-nav-zoom');
-          const pan = navElement.getAttribute('data-nav-pan');
+          callback(this.now());
+        }
+      });
+      return id;
+    }
+    const id = this.virtualClock.nextId--;
+    this.virtualClock.callbacks.set(id, callback);
+    return id;
+  }
 
-          if (xyz || zoom || pan) {
-            // Update navigation bar active state
-            this.setActiveNavPoint(this.currentNavIndex);
+  /**
+   * Cancel a frame requested with requestFrame
+   * @param {number} id - Frame id
+   */
+  cancelFrame(id) {
+    if (!id) return;
+    if (this.virtualClock) this.virtualClock.callbacks.delete(id);
+    this.handedBackFrames.delete(id);
+    if (id > 0) cancelAnimationFrame(id);
+  }
 
-            // Navigate to position
-            this.navigateToPosition(xyz, zoom, navElement, pan);
-          }
+  /**
+   * Switch the virtual clock on or off
+   * On the virtual clock, camera, pan and highlight animations and connector redraws only advance in
+   * renderFrame(t), and the SVG connector animations (SMIL) are paused and seeked to t, so every frame
+   * is reproducible, e.g. for rendering a tour to video in a headless browser. CSS transitions inside
+   * the scene are disabled meanwhile (.virtual-clock class on the container).
+   * @param {boolean} enabled - true to step frames manually, false to return to real time
+   */
+  setVirtualClock(enabled) {
+    const svg = this.container.querySelector('.scene-overlay');
+
+    if (enabled) {
+      if (this.virtualClock) return;
+
+      // Virtual time starts at 0; running animations continue seamlessly from the current real time
+      this.virtualClock = { base: this.now(), time: 0, callbacks: new Map(), nextId: -1 };
+      this.container.classList.add('virtual-clock');
+      if (svg && typeof svg.pauseAnimations === 'function') {
+        svg.pauseAnimations();
+        svg.setCurrentTime(0);
+      }
+      return;
+    }
+
+    if (!this.virtualClock) return;
+
+    // Continue from the virtual time, so running animations and throttles keep consistent timestamps
+    const pending = this.virtualClock.callbacks;
+    this.clockOffset = this.now() - performance.now();
+    this.virtualClock = null;
+    this.connectorRedrawFrame = null;
+    this.connectorRouteFrame = null;
+    this.container.classList.remove('virtual-clock');
+
+    if (this.labelUpdatePending) {
+      this.labelUpdatePending = false;
+      this.scheduleLabelUpdate(0);
+    }
+
+    // Hand pending frames back to the browser; their ids stay valid for cancelFrame
+    pending.forEach((callback, id) => this.handedBackFrames.set(id, callback));
+    requestAnimationFrame(() => {
+      const frames = Array.from(this.handedBackFrames);
+      this.handedBackFrames.clear();
+      frames.forEach(([id, callback]) => {
+        // Switched back on in the meantime: wait for renderFrame() again
+        if (this.virtualClock) {
+          this.virtualClock.callbacks.set(id, callback);
+        } else {
+          callback(this.now());
         }
+      });
+    });
+    if (svg && typeof svg.unpauseAnimations === 'function') {
+      svg.unpauseAnimations();
+    }
+    this.scheduleConnectorRedraw();
+  }
+
+  /**
+   * Render the frame at virtual time t (requires setVirtualClock(true))
+   * Runs every pending animation step with timestamp t, redraws the connectors and seeks the
+   * connector animations to t. Frames must be rendered in increasing time order.
+   * @param {number} t - Virtual time in ms since the virtual clock was switched on
+   */
+  renderFrame(t) {
+    if (!this.virtualClock) {
+      throw new Error('renderFrame() requires the virtual clock: call setVirtualClock(true) first');
+    }
+    if (t < this.virtualClock.time) {
+      console.warn(`⚠️ renderFrame(${t}) is earlier than the previous frame (${this.virtualClock.time}); animations cannot run backwards`);
+    }
+
+    this.virtualClock.time = Math.max(t, this.virtualClock.time);
+
+    // Steps requested while rendering (the next animation steps) run in the following frame
+    const callbacks = Array.from(this.virtualClock.callbacks.values());
+    this.virtualClock.callbacks.clear();
+    const timestamp = this.now();
+    callbacks.forEach(callback => {
+      try {
+        callback(timestamp);
+      } catch (error) {
+        console.error('Error in animation frame:', error);
       }
+    });
+
+    // Connectors follow the camera within the same frame
+    if (this.connectorRedrawFrame) {
+      this.cancelFrame(this.connectorRedrawFrame);
+      this.connectorRedrawFrame = null;
+      this.captureCoordinatesAndDrawSvg();
     }
 
-    // Schedule next advancement
-    this.autoPlayTimer = setTimeout(() => {
-      this.advanceToNextNavPoint(highlightOnly);
-    }, this.autoPlayInterval);
+    // Labels settle in the frame in which their animation finished
+    if (this.labelUpdatePending) {
+      this.labelUpdatePending = false;
+      this.updateLabelPositions();
+    }
+
+    const svg = this.container.querySelector('.scene-overlay');
+    if (svg && typeof svg.setCurrentTime === 'function') {
+      svg.setCurrentTime(t / 1000);
+    }
+  }
+
+  /**
+   * Walk the navigation sequence on the virtual clock, yielding one entry per rendered frame
+   * Each navigation point is shown until its animations have finished plus `hold` ms. The frame is
+   * already rendered when it is yielded, so a capture tool can grab it before asking for the next one:
+   *
+   *   for (const frame of viewer.walkNavFrames({ fps: 30 })) {
+   *     await capture(frame.frame);
+   *   }
+   *
+   * @param {Object} options - Walk options
+   * @param {number} options.fps - Frames per second (default: 30)
+   * @param {number} options.hold - Time in ms each navigation point stays on screen after it settled (default: 1500)
+   * @param {boolean} options.includeOverview - Start with the overview (initial view) (default: true)
+   * @param {number} options.maxStepDuration - Upper limit per navigation point in ms (default: 30000)
+   * @yields {Object} - {frame, time, navIndex, key}; time is the virtual time in ms
+   */
+  * walkNavFrames({ fps = 30, hold = 1500, includeOverview = true, maxStepDuration = 30000 } = {}) {
+    // Autoplay runs on real-time timers and would navigate in the middle of the capture
+    this.stopAutoPlay();
+
+    // Return to real time when the walk ends (also on break/return), unless the clock was already on
+    const ownsClock = !this.virtualClock;
+    this.setVirtualClock(true);
+
+    try {
+      const frameDuration = 1000 / fps;
+      const startTime = this.virtualClock.time;
+      const navCount = this.navElements ? this.navElements.length : 0;
+      const steps = [];
+      if (includeOverview) steps.push(-1);
+      for (let i = 0; i < navCount; i++) steps.push(i);
+
+      let frame = 0;
+      for (const navIndex of steps) {
+        const navElement = navIndex >= 0 ? this.navElements[navIndex] : null;
+        const key = navElement ? (navElement.getAttribute('data-section') || navElement.id || null) : null;
+        // A smooth page scroll would run in real time in the middle of the capture
+        this.navigateToNavIndex(navIndex, { skipScroll: true });
+
+        const stepStart = startTime + frame * frameDuration;
+        let settledAt = null;
+        for (;;) {
+          // The consumer switched the virtual clock off: stop walking
+          if (!this.virtualClock) return;
+
+          const time = startTime + frame * frameDuration;
+          this.renderFrame(time);
+          yield { frame, time, navIndex, key };
+          frame++;
+
+          const nextTime = startTime + frame * frameDuration;
+          const busy = this.isAnimating || this.colorTransitions.size > 0 || (this.virtualClock?.callbacks.size ?? 0) > 0;
+          settledAt = busy ? null : (settledAt ?? nextTime);
+          if ((settledAt !== null && nextTime - settledAt >= hold) || nextTime - stepStart >= maxStepDuration) break;
+        }
+      }
+    } finally {
+      if (ownsClock) {
+        this.setVirtualClock(false);
+      }
+    }
   }
 
   // Event system methods
@@ -1403,6 +1835,167 @@ class Isometric3D {
     });
   }
 
+  /**
+   * Emit an event with the common payload fields: trigger and a getState() snapshot
+   * @param {string} eventName - Event name
+   * @param {Object} detail - Event-specific fields
+   * @param {string} trigger - Trigger override (default: getEventTrigger())
+   */
+  emitWithState(eventName, detail = {}, trigger = null) {
+    if (!this.eventListeners[eventName] || this.eventListeners[eventName].length === 0) return;
+    this.emit(eventName, {
+      ...detail,
+      trigger: trigger || this.getEventTrigger(),
+      state: this.getState()
+    });
+  }
+
+  /**
+   * Run a callback with an event trigger, so events emitted meanwhile report it
+   * @param {string} trigger - 'user', 'url', 'scroll', 'autoplay' or 'api'
+   * @param {Function} callback - Work to run
+   * @returns {*} - The callback's return value
+   */
+  runWithTrigger(trigger, callback) {
+    const previous = this.eventTrigger;
+    this.eventTrigger = trigger;
+    try {
+      return callback();
+    } finally {
+      this.eventTrigger = previous;
+    }
+  }
+
+  /**
+   * Get the trigger of the change in progress
+   * @returns {string} - 'user', 'url', 'scroll', 'autoplay' or 'api' (calls from outside)
+   */
+  getEventTrigger() {
+    return this.eventTrigger || 'api';
+  }
+
+  /**
+   * Bind an input handler so that the changes it makes are reported as trigger 'user'
+   * An outer trigger wins, e.g. ScrollSync's synthetic nav clicks stay 'scroll'.
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Bound handler
+   * @private
+   */
+  withUserTrigger(handler) {
+    return (...args) => this.runWithTrigger(this.eventTrigger || 'user', () => handler.apply(this, args));
+  }
+
+  /**
+   * Queue a throttled cameraChange event (called from updateScene)
+   * @private
+   */
+  queueCameraChange() {
+    if (this.eventListeners.cameraChange.length === 0) return;
+
+    // Drags report 'user'; animation frames keep the trigger of the navigation that started them
+    this.cameraChangeTrigger = this.isDragging
+      ? 'user'
+      : (this.eventTrigger || this.cameraAnimation?.trigger || 'api');
+
+    // Measured on this.now() so stepped virtual frames are throttled like real ones
+    const wait = this.lastCameraChange + this.cameraChangeThrottle - this.now();
+    if (wait > 0) {
+      if (!this.cameraChangeTimer) {
+        this.cameraChangeTimer = setTimeout(() => {
+          this.cameraChangeTimer = null;
+          this.emitCameraChange();
+        }, wait);
+      }
+      return;
+    }
+    clearTimeout(this.cameraChangeTimer);
+    this.cameraChangeTimer = null;
+    this.emitCameraChange();
+  }
+
+  /**
+   * Emit cameraChange if the camera moved since the last one
+   * @private
+   */
+  emitCameraChange() {
+    const key = JSON.stringify([this.currentRotation, this.currentZoom, this.currentTranslation]);
+    if (key === this.lastCameraChangeKey) return;
+
+    this.lastCameraChangeKey = key;
+    this.lastCameraChange = this.now();
+    this.emitWithState('cameraChange', {
+      rotation: { ...this.currentRotation },
+      zoom: this.currentZoom,
+      translation: { ...this.currentTranslation }
+    }, this.cameraChangeTrigger);
+  }
+
+  /**
+   * Get the element an elementClick/elementHover refers to
+   * @param {Node} node - Event target
+   * @returns {HTMLElement|null} - Closest nav element, face or scene inside the perspective (connectors excluded)
+   * @private
+   */
+  getInteractiveElement(node) {
+    if (!(node instanceof Element) || node.closest('.scene-overlay')) return null;
+    const element = node.closest('.nav-clickable, .face, .scene');
+    return element && this.container.contains(element) ? element : null;
+  }
+
+  /**
+   * Describe an element for elementClick/elementHover payloads
+   * @param {HTMLElement} element - Nav element, face or scene
+   * @returns {Object} - {element, id, key, scene, navigable, groups}
+   * @private
+   */
+  describeInteractiveElement(element) {
+    const scene = element.closest('.scene');
+    return {
+      element,
+      id: element.id || null,
+      key: element.getAttribute('data-section') || scene?.getAttribute('data-section') || null,
+      scene,
+      navigable: element.classList.contains('nav-clickable'),
+      groups: this.getElementGroups(element)
+    };
+  }
+
+  /**
+   * Handle clicks on scenes and faces (capture phase) and emit elementClick
+   * @param {MouseEvent} e - click event (delegated from the perspective)
+   */
+  onElementClick(e) {
+    const element = this.getInteractiveElement(e.target);
+    if (!element) return;
+
+    this.emitWithState('elementClick', {
+      ...this.describeInteractiveElement(element),
+      originalEvent: e
+    }, this.eventTrigger || 'user');
+  }
+
+  /**
+   * Handle mouseover/mouseout on scenes and faces
+   * Emits elementHover once when the pointer enters an element and once when it leaves.
+   * @param {MouseEvent} e - mouseover or mouseout event (delegated from the perspective)
+   */
+  onElementHover(e) {
+    const node = e.type === 'mouseout' ? e.relatedTarget : e.target;
+    const element = this.isDragging ? null : this.getInteractiveElement(node);
+    if (element === this.hoveredElement) return;
+
+    const trigger = this.eventTrigger || 'user';
+    if (this.hoveredElement) {
+      const previous = this.hoveredElement;
+      this.hoveredElement = null;
+      this.emitWithState('elementHover', { ...this.describeInteractiveElement(previous), hovered: false, originalEvent: e }, trigger);
+    }
+    if (element) {
+      this.hoveredElement = element;
+      this.emitWithState('elementHover', { ...this.describeInteractiveElement(element), hovered: true, originalEvent: e }, trigger);
+    }
+  }
+
   // Navigate to element by ID or data-section attribute
   navigateByKey(key) {
     const navigableElements = this.container.querySelectorAll('.nav-clickable');
@@ -1451,11 +2044,25 @@ class Isometric3D {
     // Mouse events - only on perspective element and its children
     if (perspective) {
       perspective.addEventListener('mousedown', this.onMouseDown);
+
+      // Hover highlighting (checks hoverHighlightEnabled itself, so it can be toggled at runtime)
+      perspective.addEventListener('mouseover', this.onHoverHighlight);
+      perspective.addEventListener('mouseout', this.onHoverHighlight);
+
+      // Connector clicks and hovers (delegated, the overlay's content is redrawn often)
+      perspective.addEventListener('click', this.onConnectorClick);
+      perspective.addEventListener('mouseover', this.onConnectorHover);
+      perspective.addEventListener('mouseout', this.onConnectorHover);
+
+      // Element clicks and hovers (capture phase: nav elements stop click propagation)
+      perspective.addEventListener('click', this.onElementClick, true);
+      perspective.addEventListener('mouseover', this.onElementHover);
+      perspective.addEventListener('mouseout', this.onElementHover);
     }
     this.container.addEventListener('mouseup', this.onMouseUp);
 
     // Store mousemove handler for dynamic attachment
-    this.mouseMoveHandler = this.onMouseMove.bind(this);
+    this.mouseMoveHandler = this.onMouseMove;
 
     // Note: Mouse wheel is NOT used for zoom/pan to allow normal page scrolling
     // Users can zoom/pan using keyboard controls or drag gestures
@@ -1476,7 +2083,7 @@ class Isometric3D {
     this.container.addEventListener('contextmenu', e => e.preventDefault());
 
     // Click events - focus container and handle non-navigation clicks
-    this.container.addEventListener('click', (e) => {
+    this.container.addEventListener('click', this.withUserTrigger((e) => {
       // Don't focus if clicking on compact controls or navigation elements
       if (!e.target.closest('.compact-controls') && !e.target.closest('.nav-clickable')) {
         this.container.focus();
@@ -1504,20 +2111,49 @@ class Isometric3D {
 
       // The navigation clicks are now handled directly by setupNavigationEffects
       // This handler is only for focusing the container and handling focus centering
-    });
-
-    // Window resize listener for label repositioning
-    this.resizeHandler = () => {
-      setTimeout(() => this.updateLabelPositions(), 100);
+    }));
+
+    // Label repositioning after window resizes and container size changes (e.g. page layout or script)
+    const scheduleResize = () => {
+      // The first change within the debounce window names the trigger ('user' for a window resize)
+      this.resizeTrigger = this.resizeTrigger || this.getEventTrigger();
+      clearTimeout(this.resizeTimeout);
+      this.resizeTimeout = setTimeout(() => {
+        const trigger = this.resizeTrigger;
+        this.resizeTrigger = null;
+        this.updateLabelPositions();
+        this.emitWithState('resize', {
+          width: this.container.clientWidth,
+          height: this.container.clientHeight
+        }, trigger);
+      }, 100);
     };
+    this.resizeHandler = this.withUserTrigger(scheduleResize);
     window.addEventListener('resize', this.resizeHandler);
 
+    if (typeof ResizeObserver !== 'undefined') {
+      this.containerSize = { width: this.container.clientWidth, height: this.container.clientHeight };
+      this.resizeObserver = new ResizeObserver(() => {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        // Skip notifications without a size change, e.g. the initial one
+        if (width === this.containerSize.width && height === this.containerSize.height) return;
+        this.containerSize = { width, height };
+        scheduleResize();
+      });
+      this.resizeObserver.observe(this.container);
+    }
+
     // Listen for URL changes (browser back/forward and hash changes)
-    this.popstateHandler = () => {
-      this.loadFromUrl();
+    // Entries pushed in history 'push' mode carry the exact state, other entries are read from the URL
+    this.popstateHandler = (event) => {
+      const entry = this.historyMode === 'push' ? this.getHistoryEntryFromState(event.state) : null;
+      this.runWithTrigger('url', () => entry ? this.restoreHistoryEntry(entry) : this.loadFromUrl());
     };
     this.hashchangeHandler = () => {
-      this.loadFromUrl();
+      // popstate already restored an entry of our own
+      if (this.historyMode === 'push' && this.getHistoryEntryFromState(window.history.state)) return;
+      this.runWithTrigger('url', () => this.loadFromUrl());
     };
 
     window.addEventListener('popstate', this.popstateHandler);
@@ -1541,6 +2177,7 @@ class Isometric3D {
           <div class="center-dot" id="${this.containerId}-center-dot"></div>
         </div>
         <button class="help-button">?</button>
+        ${this.showExportButton ? '<button class="export-button" title="Download the current view as PNG">⤓</button>' : ''}
       </div>
       <div class="keyboard-help">
         <h3>Controls</h3>
@@ -1644,6 +2281,18 @@ class Isometric3D {
       console.error('❌ Failed to find help button or keyboard help panel in:', this.containerId);
     }
 
+    // Export button: download the current view as PNG
+    const exportButton = compactControls.querySelector('.export-button');
+    if (exportButton) {
+      exportButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.downloadExport('png').catch(error => {
+          console.warn(`⚠️ Export of "${this.containerId}" failed:`, error.message);
+        });
+      });
+    }
+
     // Add click event listeners to spherical controller elements
     const upIndicator = compactControls.querySelector(`#${this.containerId}-indicator-up`);
     const downIndicator = compactControls.querySelector(`#${this.containerId}-indicator-down`);
@@ -1661,55 +2310,55 @@ class Isometric3D {
 
     // Up arrow - navigate to negative X rotation (looking up)
     if (upIndicator) {
-      upIndicator.addEventListener('click', (e) => {
+      upIndicator.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
         upIndicator.classList.add('pressed');
         setTimeout(() => upIndicator.classList.remove('pressed'), 200);
         const targetX = Math.max(this.rotationLimits.x.min, this.currentRotation.x - 15);
         this.smoothAnimateTo({ ...this.currentRotation, x: targetX }, this.currentZoom, 500);
-      });
+      }));
     }
 
     // Down arrow - navigate to positive X rotation (looking down)
     if (downIndicator) {
-      downIndicator.addEventListener('click', (e) => {
+      downIndicator.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
         downIndicator.classList.add('pressed');
         setTimeout(() => downIndicator.classList.remove('pressed'), 200);
         const targetX = Math.min(this.rotationLimits.x.max, this.currentRotation.x + 15);
         this.smoothAnimateTo({ ...this.currentRotation, x: targetX }, this.currentZoom, 500);
-      });
+      }));
     }
 
     // Left arrow - navigate to negative Z rotation (turning left)
     if (leftIndicator) {
-      leftIndicator.addEventListener('click', (e) => {
+      leftIndicator.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
         leftIndicator.classList.add('pressed');
         setTimeout(() => leftIndicator.classList.remove('pressed'), 200);
         const targetZ = Math.max(this.rotationLimits.z.min, this.currentRotation.z - 15);
         this.smoothAnimateTo({ ...this.currentRotation, z: targetZ }, this.currentZoom, 500);
-      });
+      }));
     }
 
     // Right arrow - navigate to positive Z rotation (turning right)
     if (rightIndicator) {
-      rightIndicator.addEventListener('click', (e) => {
+      rightIndicator.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
         rightIndicator.classList.add('pressed');
         setTimeout(() => rightIndicator.classList.remove('pressed'), 200);
         const targetZ = Math.min(this.rotationLimits.z.max, this.currentRotation.z + 15);
         this.smoothAnimateTo({ ...this.currentRotation, z: targetZ }, this.currentZoom, 500);
-      });
+      }));
     }
 
     // Center dot - navigate to (0,0,0)
     if (centerDot) {
-      centerDot.addEventListener('click', (e) => {
+      centerDot.addEventListener('click', this.withUserTrigger((e) => {
         e.preventDefault();
         e.stopPropagation();
 
@@ -1725,7 +2374,7 @@ class Isometric3D {
 
         // Animate rotation change
         this.smoothAnimateTo(targetRotation, this.currentZoom, 500);
-      });
+      }));
     }
 
     // Setup modifier key info display
@@ -1821,11 +2470,157 @@ class Isometric3D {
     });
   }
 
+  /**
+   * Create the highlight legend panel
+   * Lists every group with its element/connector count and a swatch; clicking toggles the group.
+   * The legend follows every highlight change, including nav-point auto-highlighting.
+   */
+  createHighlightLegend() {
+    const legend = document.createElement('div');
+    legend.className = 'highlight-legend';
+
+    legend.innerHTML = `
+      <div class="highlight-legend-header">
+        <span>Groups</span>
+        <button class="highlight-legend-toggle" title="Collapse legend">–</button>
+      </div>
+      <div class="highlight-legend-items"></div>
+    `;
+
+    this.container.appendChild(legend);
+    this.highlightLegend = legend;
+
+    const toggle = legend.querySelector('.highlight-legend-toggle');
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const collapsed = legend.classList.toggle('collapsed');
+      toggle.textContent = collapsed ? '+' : '–';
+      toggle.title = collapsed ? 'Expand legend' : 'Collapse legend';
+    });
+
+    // Clicking a group toggles it in the highlight set
+    legend.querySelector('.highlight-legend-items').addEventListener('click', this.withUserTrigger((e) => {
+      const item = e.target.closest('.highlight-legend-item');
+      if (!item) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.toggleHighlight(this.getLiteralGroupKey(item.dataset.group));
+    }));
+
+    this.renderHighlightLegend();
+    this.on('highlightChange', this.updateHighlightLegend);
+  }
+
+  /**
+   * (Re)build the legend items from the groups currently defined in the DOM and connectors
+   */
+  renderHighlightLegend() {
+    if (!this.highlightLegend) return;
+
+    const itemsContainer = this.highlightLegend.querySelector('.highlight-legend-items');
+    itemsContainer.innerHTML = '';
+
+    this.getHighlightGroups().forEach(group => {
+      const item = document.createElement('button');
+      item.className = 'highlight-legend-item';
+      item.dataset.group = group.name;
+      item.title = `${group.elementCount} element(s), ${group.connectorCount} connector(s)`;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'highlight-legend-swatch';
+      swatch.style.backgroundColor = group.color;
+
+      const label = document.createElement('span');
+      label.className = 'highlight-legend-label';
+      label.textContent = group.name;
+
+      const count = document.createElement('span');
+      count.className = 'highlight-legend-count';
+      count.textContent = group.elementCount + group.connectorCount;
+
+      item.append(swatch, label, count);
+      itemsContainer.appendChild(item);
+    });
+
+    this.updateHighlightLegend();
+  }
+
+  /**
+   * Sync the legend's active states with the current highlight set
+   */
+  updateHighlightLegend() {
+    if (!this.highlightLegend) return;
+
+    const activeKeys = this.getHighlightKeys();
+    this.highlightLegend.classList.toggle('has-active', activeKeys.length > 0);
+    this.highlightLegend.querySelectorAll('.highlight-legend-item').forEach(item => {
+      item.classList.toggle('active', activeKeys.includes(this.getLiteralGroupKey(item.dataset.group)));
+    });
+  }
+
+  /**
+   * Collect every highlight group used by elements (data-groups) and connectors (groups)
+   * @returns {Array<Object>} - [{name, elementCount, connectorCount, color}] in order of first appearance
+   */
+  getHighlightGroups() {
+    const groups = new Map();
+    const getGroup = (name) => {
+      if (!groups.has(name)) {
+        groups.set(name, { name, elementCount: 0, connectorCount: 0, color: null });
+      }
+      return groups.get(name);
+    };
+
+    this.container.querySelectorAll('.isometric-perspective [data-groups]').forEach(element => {
+      element.getAttribute('data-groups').split(',').map(g => g.trim()).filter(Boolean)
+        .forEach(name => getGroup(name).elementCount++);
+    });
+
+    // The swatch takes the color of the first connector in the group
+    this.getConnectorDefinitions().forEach(connector => {
+      this.getConnectorGroups(connector).forEach(name => {
+        const group = getGroup(name);
+        group.connectorCount++;
+        if (!group.color) group.color = connector.color || '#4CAF50';
+      });
+    });
+
+    return Array.from(groups.values()).map(group => ({
+      ...group,
+      color: group.color || '#9e9e9e'
+    }));
+  }
+
+  /**
+   * Get the connector definitions of this instance (the live array, not copies)
+   * Before initialization, reads the data-connectors attribute, falling back to options.connectors
+   * @returns {Array<Object>} - Connector definitions (empty when none or invalid)
+   */
+  getConnectorDefinitions() {
+    if (this.initialConnectorPositions) return this.connectorDefinitions;
+
+    // Not initialized yet: attribute (or options) plus connectors added through the API
+    const perspective = this.container.querySelector('.isometric-perspective');
+    const defined = perspective && perspective.hasAttribute('data-connectors')
+      ? this.parseConnectorsAttribute(perspective)
+      : (Array.isArray(this.connectors) ? this.connectors : []);
+    return defined.concat(this.connectorDefinitions || []);
+  }
+
   removeEventListeners() {
     const perspective = this.container.querySelector('.isometric-perspective');
 
     if (perspective) {
       perspective.removeEventListener('mousedown', this.onMouseDown);
+      perspective.removeEventListener('mouseover', this.onHoverHighlight);
+      perspective.removeEventListener('mouseout', this.onHoverHighlight);
+      perspective.removeEventListener('click', this.onConnectorClick);
+      perspective.removeEventListener('mouseover', this.onConnectorHover);
+      perspective.removeEventListener('mouseout', this.onConnectorHover);
+      perspective.removeEventListener('click', this.onElementClick, true);
+      perspective.removeEventListener('mouseover', this.onElementHover);
+      perspective.removeEventListener('mouseout', this.onElementHover);
       perspective.removeEventListener('touchstart', this.onTouchStart);
       perspective.removeEventListener('touchmove', this.onTouchMove);
       perspective.removeEventListener('touchend', this.onTouchEnd);
@@ -1844,6 +2639,10 @@ class Isometric3D {
     if (this.resizeHandler) {
       window.removeEventListener('resize', this.resizeHandler);
     }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
     if (this.popstateHandler) {
       window.removeEventListener('popstate', this.popstateHandler);
     }
@@ -1906,10 +2705,22 @@ class Isometric3D {
     // Update display values
     this.updateDisplayValues();
 
+    // Let page-level layers (e.g. ConnectorLayer) follow the camera
+    this.emit('sceneUpdate', {
+      rotation: { ...this.currentRotation },
+      zoom: this.currentZoom,
+      translation: { ...this.currentTranslation }
+    });
+    this.queueCameraChange();
+
+    // Connectors attached to elevated faces move relative to the overlay when the camera rotates
+    if (this.hasElevatedConnectorAnchors()) {
+      this.scheduleConnectorRedraw();
+    }
+
     // Update label positions only if not animating and not dragging (to avoid flicker)
     if (!this.isAnimating && !this.isDragging) {
-      clearTimeout(this.labelUpdateTimeout);
-      this.labelUpdateTimeout = setTimeout(() => this.updateLabelPositions(), 50); // Small delay to ensure transforms are applied
+      this.scheduleLabelUpdate(50); // Small delay to ensure transforms are applied
     }
 
     // Queue URL update to avoid too frequent updates (but skip if navigating via click)
@@ -1956,10 +2767,26 @@ class Isometric3D {
     }
   }
 
-  updateLabelPositions() {
-    // Update label positions based on cube and rectangle positions within this container
-    const labels = this.container.querySelectorAll('.label[data-cube]');
-
+  /**
+   * Update the label positions after a short delay, once the transforms have been applied
+   * On the virtual clock the update runs at the end of the next renderFrame() instead, so the labels
+   * are in place in the rendered frame.
+   * @param {number} delay - Delay in ms on the real-time clock
+   */
+  scheduleLabelUpdate(delay) {
+    clearTimeout(this.labelUpdateTimeout);
+    this.labelUpdateTimeout = null;
+    if (this.virtualClock) {
+      this.labelUpdatePending = true;
+      return;
+    }
+    this.labelUpdateTimeout = setTimeout(() => this.updateLabelPositions(), delay);
+  }
+
+  updateLabelPositions() {
+    // Update label positions based on cube and rectangle positions within this container
+    const labels = this.container.querySelectorAll('.label[data-cube]');
+
     labels.forEach((label) => {
       const cubeId = label.getAttribute('data-cube');
       const position = label.getAttribute('data-position') || 'right'; // default to right
@@ -2069,8 +2896,7 @@ class Isometric3D {
 
     // Handle default position (index -1) - clear all highlights
     if (navIndex === -1) {
-      const allHighlighted = this.container.querySelectorAll('.highlighted');
-      allHighlighted.forEach(el => el.classList.remove('highlighted'));
+      this.clearHighlights();
 
       // Redraw debug rectangles to show no selection
       if (this.showDebug) {
@@ -2087,38 +2913,87 @@ class Isometric3D {
     }
 
     // Handle auto-highlight if the element has data-activate
-    let autoHighlightKeys = navElement.getAttribute('data-activate');
-    let sourceScene = navElement.closest('.scene');
+    this.applyActivateHighlight(navElement);
 
-    // If not found on the element itself, check parent scene
-    if (!autoHighlightKeys && sourceScene) {
-      autoHighlightKeys = sourceScene.getAttribute('data-activate');
+    // Redraw debug rectangles to show the selection
+    if (this.showDebug) {
+      this.drawDebugActivateRects();
     }
+  }
 
-    if (autoHighlightKeys) {
-      const keys = autoHighlightKeys.split(',').map(k => k.trim());
-      this.highlightByKey(keys);
-
-      // Also ensure the source scene/cuboid itself is highlighted, but only if it has no highlighted faces
-      if (sourceScene) {
-        const hasHighlightedFaces = sourceScene.querySelectorAll('.front.highlighted, .back.highlighted, .left.highlighted, .right.highlighted, .top.highlighted, .bottom.highlighted').length > 0;
-        if (!hasHighlightedFaces) {
-          sourceScene.classList.add('highlighted');
-        }
-      }
+  /**
+   * Apply the auto-highlight of a navigation source: its activate keys and highlight layers
+   * Without explicit keys, they are read from data-activate / data-activate-layers on the element,
+   * then on its parent scene. Without keys, highlights are cleared.
+   * @param {Element} sourceElement - Nav element, clicked face or connector hit path
+   * @param {Object|null} activate - Explicit {keys, layers} (e.g. a connector's activate/activateLayers)
+   * @private
+   */
+  applyActivateHighlight(sourceElement, activate = null) {
+    const sourceScene = sourceElement.closest('.scene');
+    let autoHighlightKeys;
+    let layersValue;
+
+    if (activate) {
+      autoHighlightKeys = activate.keys || null;
+      layersValue = activate.layers || null;
     } else {
-      // If no data-activate, clear all highlights
-      const allHighlighted = this.container.querySelectorAll('.highlighted');
-      allHighlighted.forEach(el => el.classList.remove('highlighted'));
+      // Check the element first, then its parent scene
+      autoHighlightKeys = sourceElement.getAttribute('data-activate') ||
+        sourceScene?.getAttribute('data-activate') || null;
+
+      // Named highlight layers, e.g. data-activate-layers="incident: payments; owners: team-a"
+      layersValue = sourceElement.getAttribute('data-activate-layers') ||
+        sourceScene?.getAttribute('data-activate-layers') || null;
     }
 
-    // Redraw debug rectangles to show the selection
-    if (this.showDebug) {
-      this.drawDebugActivateRects();
+    // Keys and layers are applied with a single refresh; without keys, the primary highlight is cleared
+    this.applyHighlightState(this.normalizeHighlightKeys(autoHighlightKeys), this.getLayersFromActivate(layersValue));
+
+    // Also highlight the source scene/cuboid itself; kept across refreshes while these keys stay active
+    this.activeSourceHighlight = autoHighlightKeys && sourceScene && this.currentHighlightKeys
+      ? { scene: sourceScene, keys: this.currentHighlightKeys }
+      : null;
+    this.highlightActiveSourceScene();
+  }
+
+  /**
+   * Highlight the scene of the last activated navigation source, but only if it has no highlighted faces
+   * Skipped while a hover highlight is shown or once the primary highlight keys have changed since.
+   * @private
+   */
+  highlightActiveSourceScene() {
+    const active = this.activeSourceHighlight;
+    if (!active || this.hoverHighlightState || active.keys !== this.currentHighlightKeys) return;
+
+    const hasHighlightedFaces = active.scene.querySelectorAll('.front.highlighted, .back.highlighted, .left.highlighted, .right.highlighted, .top.highlighted, .bottom.highlighted').length > 0;
+    if (!hasHighlightedFaces) {
+      active.scene.classList.add('highlighted');
     }
   }
 
-  navigateToPosition(xyzString, zoomString, sourceElement = null, panString = null, onComplete = null, skipUrlUpdate = false) {
+  /**
+   * Navigate the camera to a rotation/zoom/pan target (see goTo for the object form)
+   * @param {string|Object} xyzString - "x.y.z", {x, y, z}, 'current' or 'center'
+   * @param {string|number} zoomString - Zoom level or 'current'
+   * @param {HTMLElement|null} sourceElement - Clicked nav element (highlights, section, auto-centering, timing)
+   * @param {string|Object|null} panString - "x.y", {x, y}, 'current' or 'default'
+   * @param {Function|null} onComplete - Called when the animation finishes (not when it is cancelled)
+   * @param {boolean} skipUrlUpdate - Leave the URL untouched
+   * @param {Object} options - Overrides for the source element's settings
+   * @param {number} options.duration - Overrides data-nav-duration
+   * @param {string} options.easing - Overrides data-nav-easing
+   * @param {Object} options.activate - {keys, layers} overriding data-activate / data-activate-layers
+   * @returns {Promise<Object>} - Resolves with {completed, cancelled, reason}
+   */
+  navigateToPosition(xyzString, zoomString, sourceElement = null, panString = null, onComplete = null, skipUrlUpdate = false, options = {}) {
+    const { activate = null, ...timing } = options || {};
+
+    // Object and number forms (goTo): {x, y, z} / {x, y} become exact number arrays, zoom a string
+    xyzString = this.normalizeNavValue(xyzString, ['x', 'y', 'z']);
+    zoomString = this.normalizeNavValue(zoomString);
+    panString = this.normalizeNavValue(panString, ['x', 'y']);
+
     const targetRotation = { ...this.currentRotation };
     let targetZoom = this.currentZoom;
 
@@ -2127,7 +3002,12 @@ class Isometric3D {
     let targetTranslation = sourceElement ? { x: 0, y: 0, z: 0 } : { ...this.currentTranslation };
 
     // Parse xyz string (e.g., "35.0.15" or "current" to keep current rotation, or "center" for auto-calculated centering)
-    if (xyzString && xyzString !== 'current' && xyzString !== 'center') {
+    if (Array.isArray(xyzString)) {
+      const [x = 0, y = 0, z = 0] = xyzString;
+      targetRotation.x = x;
+      targetRotation.y = y;
+      targetRotation.z = z;
+    } else if (xyzString && xyzString !== 'current' && xyzString !== 'center') {
       const parts = xyzString.split('.');
       // Map each part, ensuring we always have 3 values (fill missing with 0)
       const [x = 0, y = 0, z = 0] = parts.map(v => {
@@ -2154,6 +3034,12 @@ class Isometric3D {
     } else if (panString === 'default') {
       // Use the default/initial pan position
       targetTranslation = { ...this.defaultTranslation };
+    } else if (Array.isArray(panString)) {
+      // Exact numeric pan values from the object form
+      const [x = 0, y = 0] = panString;
+      targetTranslation.x = x;
+      targetTranslation.y = y;
+      targetTranslation.z = targetTranslation.z || 0;
     } else if (panString && panString !== 'current' && panString !== 'default') {
       // Explicit numeric pan values (dot-separated: x.y)
       const parts = panString.split('.');
@@ -2205,7 +3091,7 @@ class Isometric3D {
           // Convert to 1-based index for URL
           const urlIndex = navIndex + 1;
           const baseUrl = window.location.pathname;
-          window.history.replaceState({}, '', `${baseUrl}?${prefix}-nav=${urlIndex}`);
+          this.replaceUrl(`${baseUrl}?${prefix}-nav=${urlIndex}`);
         }
 
         // Cancel any pending query param updates
@@ -2218,7 +3104,7 @@ class Isometric3D {
       } else if (targetHash) {
         // For other navigation (e.g., clicking faces): use hash/section
         const baseUrl = window.location.pathname;
-        window.history.replaceState({}, '', `${baseUrl}#${targetHash}`);
+        this.replaceUrl(`${baseUrl}#${targetHash}`);
         // Cancel any pending query param updates and mark as click navigation
         clearTimeout(this.urlUpdateTimeout);
         this.isClickNavigation = true;
@@ -2233,30 +3119,7 @@ class Isometric3D {
 
     // Handle auto-highlight if source element is provided
     if (sourceElement) {
-      // Check face first, then parent scene for activate groups
-      let autoHighlightKeys = sourceElement.getAttribute('data-activate');
-      let sourceScene = sourceElement.closest('.scene');
-
-      // If not found on the element itself, check parent scene
-      if (!autoHighlightKeys && sourceScene) {
-        autoHighlightKeys = sourceScene.getAttribute('data-activate');
-      }
-
-      if (autoHighlightKeys) {
-        const keys = autoHighlightKeys.split(',').map(k => k.trim());
-        this.highlightByKey(keys);
-
-        // Also ensure the source scene/cuboid itself is highlighted, but only if it has no highlighted faces
-        if (sourceScene) {
-          const hasHighlightedFaces = sourceScene.querySelectorAll('.front.highlighted, .back.highlighted, .left.highlighted, .right.highlighted, .top.highlighted, .bottom.highlighted').length > 0;
-          if (!hasHighlightedFaces) {
-            sourceScene.classList.add('highlighted');
-          }
-        }
-      } else {
-        // No highlight-keys found, clear all highlights
-        this.clearHighlights();
-      }
+      this.applyActivateHighlight(sourceElement, activate);
     } else {
       // No source element provided, clear highlights
       this.clearHighlights();
@@ -2265,45 +3128,132 @@ class Isometric3D {
     // IMPORTANT: Highlight all elements with the same data-section AFTER all other highlight
     // This ensures section-based highlights aren't cleared by highlightByKey()
     if (targetHash && sourceElement) {
-      // Clear previous section-based highlights before adding new ones
-      const allPreviousHighlights = this.container.querySelectorAll('.highlight');
-      allPreviousHighlights.forEach(el => el.classList.remove('highlight'));
+      this.highlightSection(targetHash);
+    }
 
-      // Query for data-section attributes
-      const elementsWithSameId = this.container.querySelectorAll(
-        `[data-section="${targetHash}"]`
-      );
-      const scenesWithHighlightedFaces = new Set();
+    // Sanitize translation before animating
+    targetTranslation = this.sanitizeTranslation(targetTranslation);
 
-      // First pass: highlight elements and track scenes with highlighted faces
-      elementsWithSameId.forEach(el => {
-        if (el.classList.contains('scene')) {
-          // Scene will be highlighted in second pass if it has no highlighted faces
-        } else {
-          // If it's a face or other element, add highlight to it
-          el.classList.add('highlight');
+    // Per-element timing: data-nav-duration (ms) and data-nav-easing override the instance defaults
+    const { duration, easing } = { ...this.getNavTiming(sourceElement), ...timing };
 
-          // Track parent scene to prevent double highlight
-          const parentScene = el.closest('.scene');
-          if (parentScene) {
-            scenesWithHighlightedFaces.add(parentScene);
-          }
-        }
-      });
+    // Perform smooth animation with pan/translation
+    return this.smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, duration, onComplete, easing);
+  }
+
+  /**
+   * Mark all elements of a data-section with the .highlight class (replacing the previous section)
+   * Faces are marked; a scene only when none of its faces belong to the section.
+   * @param {string} section - data-section value
+   */
+  highlightSection(section) {
+    // Clear previous section-based highlights before adding new ones
+    const allPreviousHighlights = this.container.querySelectorAll('.highlight');
+    allPreviousHighlights.forEach(el => el.classList.remove('highlight'));
+
+    // Query for data-section attributes
+    const elementsWithSameId = this.container.querySelectorAll(
+      `[data-section="${section}"]`
+    );
+    const scenesWithHighlightedFaces = new Set();
 
-      // Second pass: highlight scenes only if they don't have highlighted faces
-      elementsWithSameId.forEach(el => {
-        if (el.classList.contains('scene') && !scenesWithHighlightedFaces.has(el)) {
-          el.classList.add('highlight');
+    // First pass: highlight elements and track scenes with highlighted faces
+    elementsWithSameId.forEach(el => {
+      if (el.classList.contains('scene')) {
+        // Scene will be highlighted in second pass if it has no highlighted faces
+      } else {
+        // If it's a face or other element, add highlight to it
+        el.classList.add('highlight');
+
+        // Track parent scene to prevent double highlight
+        const parentScene = el.closest('.scene');
+        if (parentScene) {
+          scenesWithHighlightedFaces.add(parentScene);
         }
-      });
+      }
+    });
+
+    // Second pass: highlight scenes only if they don't have highlighted faces
+    elementsWithSameId.forEach(el => {
+      if (el.classList.contains('scene') && !scenesWithHighlightedFaces.has(el)) {
+        el.classList.add('highlight');
+      }
+    });
+  }
+
+  /**
+   * Normalize a goTo value for navigateToPosition
+   * Objects become number arrays (missing axes are 0) so decimals survive, numbers become strings.
+   * @param {*} value - Data-attribute string, number or {x, y[, z]} object
+   * @param {string[]} axes - Axis names for object values
+   * @returns {*} - String, number array or the value unchanged
+   * @private
+   */
+  normalizeNavValue(value, axes = []) {
+    if (typeof value === 'number') return String(value);
+    if (value && typeof value === 'object' && !Array.isArray(value) && axes.length) {
+      return axes.map(axis => parseFloat(value[axis]) || 0);
     }
+    return value;
+  }
 
-    // Sanitize translation before animating
-    targetTranslation = this.sanitizeTranslation(targetTranslation);
+  /**
+   * Navigate to a target and wait for the camera animation
+   * Without xyz/zoom/pan, the element's data-nav-xyz, data-nav-zoom and data-nav-pan are used, like a click.
+   * @param {Object} target - Navigation target
+   * @param {string|Object} target.xyz - Rotation "x.y.z", {x, y, z}, 'current' or 'center'
+   * @param {string|number} target.zoom - Zoom level or 'current'
+   * @param {string|Object} target.pan - Pan "x.y", {x, y}, 'current' or 'default' (auto-centers on the element when omitted)
+   * @param {HTMLElement|string} target.element - Nav element or its id (highlights, section, auto-centering, timing)
+   * @param {number} target.duration - Animation duration in ms (default: data-nav-duration or navDuration)
+   * @param {string|Function} target.easing - Easing name or function (default: data-nav-easing or navEasing)
+   * @param {boolean} target.updateUrl - Update the URL like a click would (default: true)
+   * @returns {Promise<Object>} - Resolves with {completed: true} when the animation finishes, or
+   *   {completed: false, cancelled: true, reason} when a newer navigation ('navigation'), a drag ('drag'),
+   *   resetView ('reset'), destroy ('destroy') or cancelCameraAnimation() ('api') interrupts it
+   */
+  goTo({ xyz, zoom, pan, element = null, duration, easing, updateUrl = true } = {}) {
+    if (typeof element === 'string') {
+      const id = element;
+      element = document.getElementById(id);
+      if (!element || !this.container.contains(element)) {
+        return Promise.reject(new Error(`Element with id "${id}" not found in "${this.containerId}"`));
+      }
+    }
 
-    // Perform smooth animation with pan/translation
-    this.smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, 1200, onComplete);
+    const timing = {};
+    if (duration !== undefined) timing.duration = duration;
+    if (easing !== undefined) timing.easing = easing;
+
+    return this.navigateToPosition(
+      xyz ?? element?.getAttribute('data-nav-xyz') ?? null,
+      zoom ?? element?.getAttribute('data-nav-zoom') ?? null,
+      element,
+      pan ?? element?.getAttribute('data-nav-pan') ?? null,
+      null,
+      !updateUrl,
+      timing
+    );
+  }
+
+  /**
+   * Read the animation timing for a nav element
+   * @param {HTMLElement|null} element - Nav element with optional data-nav-duration / data-nav-easing
+   * @returns {Object} - {duration, easing} falling back to navDuration / navEasing
+   */
+  getNavTiming(element) {
+    const durationAttr = element?.getAttribute?.('data-nav-duration');
+    const easingAttr = element?.getAttribute?.('data-nav-easing');
+    const parsedDuration = parseFloat(durationAttr);
+
+    if (durationAttr && (isNaN(parsedDuration) || parsedDuration < 0)) {
+      console.warn(`⚠️ Invalid data-nav-duration "${durationAttr}", using ${this.navDuration}ms`);
+    }
+
+    return {
+      duration: !isNaN(parsedDuration) && parsedDuration >= 0 ? parsedDuration : this.navDuration,
+      easing: easingAttr ? easingAttr.trim() : this.navEasing
+    };
   }
 
   syncNavigationBar(xyzString, zoomString, panString, sourceElement = null) {
@@ -2346,10 +3296,14 @@ class Isometric3D {
     this.setActiveNavPoint(matchingIndex);
   }
 
-  smoothAnimateTo(targetRotation, targetZoom, duration = 1200) {
-    this.isAnimating = true; // Set animation flag to prevent premature label updates
+  /**
+   * Animate rotation and zoom to a target
+   * @returns {Promise<Object>} - Resolves with {completed, cancelled, reason} when finished or interrupted
+   */
+  smoothAnimateTo(targetRotation, targetZoom, duration = this.navDuration, easing = this.navEasing) {
+    const animation = this.startCameraAnimation(duration); // Also sets isAnimating to prevent premature label updates
 
-    const startTime = performance.now();
+    const startTime = this.now();
     const startRotation = { ...this.currentRotation };
     const startZoom = this.currentZoom;
 
@@ -2361,15 +3315,15 @@ class Isometric3D {
     };
 
     const clampedZoom = Math.max(0.2, Math.min(3.0, targetZoom));
+    const ease = this.getEasing(easing);
 
     const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+      // Superseded by a newer navigation, a drag or a reset
+      if (this.cameraAnimation !== animation) return;
 
-      // Use easeInOutQuad for smoother, more gentle animation
-      const eased = progress < 0.5
-        ? 2 * progress * progress
-        : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+      const elapsed = currentTime - startTime;
+      const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      const eased = ease(progress);
 
       // Interpolate rotation values
       this.currentRotation.x = startRotation.x + (clampedTarget.x - startRotation.x) * eased;
@@ -2384,7 +3338,7 @@ class Isometric3D {
 
       // Continue animation if not complete
       if (progress < 1) {
-        requestAnimationFrame(animate);
+        this.requestFrame(animate);
       } else {
         // Ensure final values are exactly the target
         this.currentRotation = { ...clampedTarget };
@@ -2392,18 +3346,25 @@ class Isometric3D {
         this.updateScene();
 
         // Animation finished - now update labels
+        this.cameraAnimation = null;
         this.isAnimating = false;
-        setTimeout(() => this.updateLabelPositions(), 100); // Update labels after animation completes
+        this.scheduleLabelUpdate(100); // Update labels after animation completes
+        this.finishCameraAnimation(animation, { completed: true, cancelled: false, reason: null });
       }
     };
 
-    requestAnimationFrame(animate);
+    this.requestFrame(animate);
+    return animation.promise;
   }
 
-  smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, duration = 1200, onComplete = null) {
-    this.isAnimating = true; // Set animation flag to prevent premature label updates
+  /**
+   * Animate rotation, zoom and pan to a target
+   * @returns {Promise<Object>} - Resolves with {completed, cancelled, reason} when finished or interrupted
+   */
+  smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, duration = this.navDuration, onComplete = null, easing = this.navEasing) {
+    const animation = this.startCameraAnimation(duration); // Also sets isAnimating to prevent premature label updates
 
-    const startTime = performance.now();
+    const startTime = this.now();
     const startRotation = { ...this.currentRotation };
     const startZoom = this.currentZoom;
     const startTranslation = { ...this.currentTranslation };
@@ -2416,15 +3377,15 @@ class Isometric3D {
     };
 
     const clampedZoom = Math.max(0.2, Math.min(3.0, targetZoom));
+    const ease = this.getEasing(easing);
 
     const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+      // Superseded by a newer navigation, a drag or a reset
+      if (this.cameraAnimation !== animation) return;
 
-      // Use easeInOutQuad for smoother, more gentle animation
-      const eased = progress < 0.5
-        ? 2 * progress * progress
-        : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+      const elapsed = currentTime - startTime;
+      const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      const eased = ease(progress);
 
       // Interpolate rotation values
       this.currentRotation.x = startRotation.x + (clampedTarget.x - startRotation.x) * eased;
@@ -2444,7 +3405,7 @@ class Isometric3D {
 
       // Continue animation if not complete
       if (progress < 1) {
-        requestAnimationFrame(animate);
+        this.requestFrame(animate);
       } else {
         // Ensure final values are exactly the target
         this.currentRotation = { ...clampedTarget };
@@ -2453,17 +3414,64 @@ class Isometric3D {
         this.updateScene();
 
         // Animation finished - now update labels
+        this.cameraAnimation = null;
         this.isAnimating = false;
-        setTimeout(() => this.updateLabelPositions(), 100); // Update labels after animation completes
+        this.scheduleLabelUpdate(100); // Update labels after animation completes
 
-        // Call completion callback if provided
+        // Call completion callback if provided (follow-up navigation keeps this animation's trigger)
         if (onComplete && typeof onComplete === 'function') {
-          onComplete();
+          this.runWithTrigger(animation.trigger, onComplete);
         }
+        this.finishCameraAnimation(animation, { completed: true, cancelled: false, reason: null });
       }
     };
 
-    requestAnimationFrame(animate);
+    this.requestFrame(animate);
+    return animation.promise;
+  }
+
+  /**
+   * Register a new camera animation, cancelling the running one as superseded
+   * @param {number} duration - Animation duration in ms (reported by animationStart)
+   * @returns {Object} - Animation record {promise, resolve, trigger}; its promise never rejects
+   * @private
+   */
+  startCameraAnimation(duration) {
+    this.cancelCameraAnimation('navigation');
+
+    const animation = { trigger: this.getEventTrigger() };
+    animation.promise = new Promise(resolve => { animation.resolve = resolve; });
+    this.cameraAnimation = animation;
+    this.isAnimating = true;
+    this.emitWithState('animationStart', { duration }, animation.trigger);
+    return animation;
+  }
+
+  /**
+   * Settle a camera animation's promise and emit animationEnd
+   * @param {Object} animation - Animation record from startCameraAnimation
+   * @param {Object} result - {completed, cancelled, reason}
+   * @private
+   */
+  finishCameraAnimation(animation, result) {
+    animation.resolve(result);
+    this.emitWithState('animationEnd', { ...result }, animation.trigger);
+  }
+
+  /**
+   * Stop the running camera animation where it is
+   * Its promise resolves with {completed: false, cancelled: true, reason}; onComplete callbacks are not called.
+   * @param {string} reason - 'navigation', 'drag', 'reset', 'destroy' or 'api' (default)
+   * @returns {boolean} - Whether an animation was running
+   */
+  cancelCameraAnimation(reason = 'api') {
+    const animation = this.cameraAnimation;
+    if (!animation) return false;
+
+    this.cameraAnimation = null;
+    this.isAnimating = false;
+    this.finishCameraAnimation(animation, { completed: false, cancelled: true, reason });
+    return true;
   }
 
   normalizeAngle(angle) {
@@ -2475,6 +3483,11 @@ class Isometric3D {
   updateUrlWithRotation() {
     if (typeof window === 'undefined' || !window.history) return;
 
+    // Manual camera changes after a nav-point step share one history entry ('push' mode)
+    if (this.historyEntryKind !== 'adjust') {
+      this.requestHistoryPush('adjust');
+    }
+
     const url = new URL(window.location);
     const prefix = this.urlPrefix.replace('_', '');
 
@@ -2585,7 +3598,256 @@ class Isometric3D {
       newUrl += '?' + params.join('&');
     }
 
-    window.history.replaceState({}, '', newUrl);
+    this.replaceUrl(newUrl);
+  }
+
+  /**
+   * Replace the current URL with this instance's state
+   * With urlFormat 'token', the given legacy URL is ignored and the state token is written instead.
+   * With history 'push', the write waits for the camera and may add a history entry (see writeUrl).
+   * @param {string} url - URL in the legacy params format
+   */
+  replaceUrl(url) {
+    if (this.urlFormat === 'params' && this.historyMode === 'replace') {
+      window.history.replaceState({}, '', url);
+      return;
+    }
+    this.pendingUrl = url;
+    this.scheduleUrlWrite();
+  }
+
+  /**
+   * Write the URL once the camera has arrived (navigation writes the URL before animating)
+   * @private
+   */
+  scheduleUrlWrite() {
+    if (this.urlWritePending) return;
+    this.urlWritePending = true;
+
+    const waitForCamera = () => this.cameraAnimation ? this.cameraAnimation.promise.then(waitForCamera) : null;
+    Promise.resolve().then(waitForCamera).then(() => {
+      this.urlWritePending = false;
+      this.writeUrl();
+    }).catch(error => {
+      // e.g. the browser rate-limits history updates, or another script put uncloneable data in history.state
+      this.urlWritePending = false;
+      console.warn(`⚠️ Could not update the URL (${error.message})`);
+    });
+  }
+
+  /**
+   * Write the pending URL (or the state token) into browser history
+   * Pushes a new entry when a nav-point step or a manual adjustment asked for one, otherwise
+   * replaces the current entry. With history 'push', each entry carries this instance's state.
+   * @private
+   */
+  writeUrl() {
+    if (typeof window === 'undefined' || !window.history) return;
+    const url = this.urlFormat === 'token'
+      ? this.getUrlTokenHref()
+      : new URL(this.pendingUrl ?? window.location.href, window.location.href).href;
+    const push = this.historyPushPending;
+    this.pendingUrl = null;
+    this.historyPushPending = false;
+
+    // Before the initial URL state is loaded, writing would overwrite it
+    if (!this.isReady) return;
+
+    if (this.historyMode === 'replace') {
+      if (url !== window.location.href) {
+        window.history.replaceState({}, '', url);
+      }
+      return;
+    }
+
+    // Other instances' entries are unchanged, so a pushed entry carries them over
+    const historyState = window.history.state && typeof window.history.state === 'object' ? window.history.state : {};
+    const historyEntries = { ...historyState.isometric3D };
+    historyEntries[this.getHistoryKey()] = this.getHistoryEntry();
+    const nextState = { ...historyState, isometric3D: historyEntries };
+
+    if (push) {
+      window.history.pushState(nextState, '', url);
+    } else {
+      window.history.replaceState(nextState, '', url);
+    }
+  }
+
+  /**
+   * Build the URL with this instance's entry merged into the shared state token
+   * Keeps the other instances' entries and removes this instance's legacy query parameters.
+   * @returns {string} - URL
+   * @private
+   */
+  getUrlTokenHref() {
+    const url = new URL(window.location);
+    const prefix = this.urlPrefix.replace('_', '');
+    const entries = this.decodeUrlToken(url.searchParams.get(this.urlTokenParam)) || {};
+    entries[prefix] = this.getUrlTokenEntry();
+
+    ['nav', 'xyz', 'zoom', 'pan'].forEach(name => url.searchParams.delete(`${prefix}-${name}`));
+    url.searchParams.set(this.urlTokenParam, this.encodeUrlToken(entries));
+    return url.href;
+  }
+
+  /**
+   * Ask the next URL write to push a history entry (history 'push' only)
+   * @param {string} kind - 'step' for a nav-point step, 'adjust' for manual camera changes
+   * @private
+   */
+  requestHistoryPush(kind) {
+    if (this.historyMode !== 'push' || this.isRestoringHistory) return;
+    this.historyPushPending = true;
+    this.historyEntryKind = kind;
+  }
+
+  /**
+   * Key of this instance's entry in history.state.isometric3D
+   * @returns {string} - Instance key
+   * @private
+   */
+  getHistoryKey() {
+    return this.urlPrefix.replace('_', '');
+  }
+
+  /**
+   * This instance's history entry: state without autoplay, so Back/Forward never start or stop it
+   * @returns {Object} - {kind, state}
+   * @private
+   */
+  getHistoryEntry() {
+    const { autoplay, ...state } = this.getState();
+    return { kind: this.historyEntryKind, state };
+  }
+
+  /**
+   * Find this instance's entry in a history.state object
+   * @param {*} historyState - history.state or popstate event state
+   * @returns {Object|null} - Entry from getHistoryEntry(), or null when the entry was not pushed by this instance
+   * @private
+   */
+  getHistoryEntryFromState(historyState) {
+    const entry = historyState?.isometric3D?.[this.getHistoryKey()];
+    return entry && typeof entry.state === 'object' ? entry : null;
+  }
+
+  /**
+   * Restore camera, nav point and highlights from a history entry (browser Back/Forward)
+   * @param {Object} entry - Entry from getHistoryEntry()
+   * @returns {Promise<Object>} - Resolves like setState() once the camera is in place
+   * @private
+   */
+  restoreHistoryEntry(entry) {
+    this.historyEntryKind = entry.kind === 'adjust' ? 'adjust' : 'step';
+
+    // Only the restore itself must not push: once setState has applied nav point, highlights and
+    // camera target, a click or scroll during the camera animation is a new step again
+    this.isRestoringHistory = true;
+    try {
+      return this.setState(entry.state, { animate: true });
+    } catch (error) {
+      console.warn(`⚠️ Could not restore history entry (${error.message})`);
+      return Promise.resolve({ completed: false, cancelled: true, reason: 'error' });
+    } finally {
+      this.isRestoringHistory = false;
+    }
+  }
+
+  /**
+   * Pack this instance's state for the URL token
+   * @returns {Array} - [navIndex, rotX, rotY, rotZ, zoom, panX, panY, highlightKeys?]
+   * @private
+   */
+  getUrlTokenEntry() {
+    const round = (value, digits) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    };
+    const entry = [
+      this.activeNavIndex,
+      round(this.currentRotation.x, 1),
+      round(this.currentRotation.y, 1),
+      round(this.currentRotation.z, 1),
+      round(this.currentZoom, 2),
+      Math.round(this.currentTranslation.x),
+      Math.round(this.currentTranslation.y)
+    ];
+    const keys = this.getHighlightKeys();
+    if (keys.length > 0) {
+      entry.push(keys);
+    }
+    return entry;
+  }
+
+  /**
+   * Encode URL token entries as "<version>.<base64url JSON>"
+   * @param {Object} entries - Instance prefix → packed state (see getUrlTokenEntry)
+   * @returns {string} - Token
+   */
+  encodeUrlToken(entries) {
+    // UTF-8 bytes for btoa, so group names outside Latin-1 survive
+    const bytes = encodeURIComponent(JSON.stringify(entries))
+      .replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    const base64 = btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `1.${base64}`;
+  }
+
+  /**
+   * Decode a URL state token
+   * @param {string|null} token - Token from the URL
+   * @returns {Object|null} - Instance prefix → packed state, or null when missing, malformed or of an unknown version
+   */
+  decodeUrlToken(token) {
+    if (!token) return null;
+
+    const separator = token.indexOf('.');
+    const version = token.slice(0, separator);
+    if (separator === -1 || version !== '1') {
+      console.warn(`⚠️ Unsupported URL state token version "${version}", ignoring it`);
+      return null;
+    }
+
+    try {
+      const base64 = token.slice(separator + 1).replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = atob(base64);
+      const json = decodeURIComponent(Array.from(bytes, char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+      const entries = JSON.parse(json);
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error('not an object');
+      }
+      return entries;
+    } catch (error) {
+      console.warn(`⚠️ Malformed URL state token, ignoring it (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Read this instance's state from the URL token
+   * @returns {Object|null} - Partial state for setState, or null when the token has no valid entry for this instance
+   */
+  readUrlTokenState() {
+    const url = new URL(window.location);
+    const entries = this.decodeUrlToken(url.searchParams.get(this.urlTokenParam));
+    if (!entries) return null;
+
+    const entry = entries[this.urlPrefix.replace('_', '')];
+    if (entry === undefined) return null;
+
+    const [navIndex, x, y, z, zoom, panX, panY, keys = []] = Array.isArray(entry) ? entry : [];
+    const numbers = [navIndex, x, y, z, zoom, panX, panY];
+    if (!numbers.every(value => typeof value === 'number' && isFinite(value)) || !Array.isArray(keys)) {
+      console.warn(`⚠️ Malformed URL state token entry for "${this.containerId}", ignoring it`);
+      return null;
+    }
+
+    return {
+      rotation: { x, y, z },
+      zoom,
+      translation: { x: panX, y: panY, z: 0 },
+      navIndex: Math.round(navIndex),
+      highlight: { keys: keys.map(String) }
+    };
   }
 
   rotateScene(deltaX, deltaY, deltaZ) {
@@ -2645,6 +3907,8 @@ class Isometric3D {
   }
 
   resetView(options = {}) {
+    this.cancelCameraAnimation('reset');
+
     // Animate smoothly to initial/home rotation, zoom, and pan
     const sanitizedTranslation = this.sanitizeTranslation(this.initialTranslation);
     this.smoothAnimateToWithPan(
@@ -2849,7 +4113,7 @@ class Isometric3D {
 
     // Cancel any existing translation animation
     if (this.translationAnimationId) {
-      cancelAnimationFrame(this.translationAnimationId);
+      this.cancelFrame(this.translationAnimationId);
       this.translationAnimationId = null;
     }
 
@@ -2858,7 +4122,7 @@ class Isometric3D {
     const startZ = this.currentTranslation.z;
 
     const duration = 500; // 500ms animation
-    const startTime = performance.now();
+    const startTime = this.now();
 
     // Set animation flag to prevent label updates during animation
     this.isAnimating = true;
@@ -2879,20 +4143,21 @@ class Isometric3D {
       this.updateScene();
 
       if (progress < 1) {
-        this.translationAnimationId = requestAnimationFrame(animate);
+        this.translationAnimationId = this.requestFrame(animate);
       } else {
         // Animation complete - reset flag and update labels
         this.translationAnimationId = null;
         this.isAnimating = false;
-        setTimeout(() => this.updateLabelPositions(), 50);
+        this.scheduleLabelUpdate(50);
       }
     };
 
-    this.translationAnimationId = requestAnimationFrame(animate);
+    this.translationAnimationId = this.requestFrame(animate);
   }
 
   // Mouse event handlers
   onMouseDown(e) {
+    this.cancelCameraAnimation('drag');
     this.isDragging = true;
     this.isClickNavigation = false; // Reset flag when manually dragging
     this.lastMouseX = e.clientX;
@@ -3027,6 +4292,7 @@ class Isometric3D {
   // Touch event handlers for mobile support
   onTouchStart(e) {
     if (e.touches.length === 1) {
+      this.cancelCameraAnimation('drag');
       this.isDragging = true;
       this.lastMouseX = e.touches[0].clientX;
       this.lastMouseY = e.touches[0].clientY;
@@ -3261,6 +4527,17 @@ class Isometric3D {
   loadFromUrl() {
     if (typeof window === 'undefined') return;
 
+    // Compact state token (any urlFormat reads it); legacy parameters are the fallback
+    const tokenState = this.readUrlTokenState();
+    if (tokenState) {
+      try {
+        this.setState(tokenState, { animate: true });
+        return;
+      } catch (error) {
+        console.warn(`⚠️ Could not restore the URL state token: ${error.message}`);
+      }
+    }
+
     const prefix = this.urlPrefix.replace('_', '');
 
     // STEP 1: Read the complete URL and parse all parameters
@@ -3377,11 +4654,11 @@ class Isometric3D {
 
       if (hasAdjustments) {
         // Animate smoothly from base position to adjusted position
-        this.smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, 1200, () => {
+        this.smoothAnimateToWithPan(targetRotation, targetZoom, targetTranslation, this.navDuration, () => {
           // STEP 4: Restore the target URL without triggering page reload
           // This ensures the URL matches exactly what was requested
           if (window.location.href !== targetUrl) {
-            window.history.replaceState({}, '', targetUrl);
+            this.replaceUrl(targetUrl);
           }
 
           // Reset flag after a delay to allow future manual navigation to update URL normally
@@ -3392,7 +4669,7 @@ class Isometric3D {
       } else {
         // No adjustments, just restore URL and reset flag
         if (window.location.href !== targetUrl) {
-          window.history.replaceState({}, '', targetUrl);
+          this.replaceUrl(targetUrl);
         }
 
         setTimeout(() => {
@@ -3489,13 +4766,112 @@ class Isometric3D {
     this.updateScene();
   }
 
+  /**
+   * Snapshot everything that defines what the viewer shows
+   * The result is plain JSON (e.g. for localStorage) and can be restored with setState().
+   * @returns {Object} - {rotation, zoom, translation, navIndex, highlight: {keys, layers},
+   *   autoplay: {playing, highlightOnly}, hasManualPanAdjustment}
+   */
   getState() {
     return {
       rotation: { ...this.currentRotation },
-      zoom: this.currentZoom
+      zoom: this.currentZoom,
+      translation: { ...this.currentTranslation },
+      navIndex: this.activeNavIndex,
+      highlight: {
+        keys: this.getHighlightKeys(),
+        layers: this.getHighlightLayers()
+      },
+      autoplay: {
+        playing: this.isAutoPlaying,
+        highlightOnly: this.isAutoPlaying && this.autoPlayHighlightOnly
+      },
+      hasManualPanAdjustment: this.hasManualPanAdjustment
     };
   }
 
+  /**
+   * Restore a state from getState()
+   * Missing properties are left as they are, so partial states work too. The URL is not changed.
+   * @param {Object} state - State from getState() (e.g. parsed from localStorage)
+   * @param {Object} options - Options
+   * @param {boolean} options.animate - Animate the camera instead of jumping (default: false)
+   * @param {number} options.duration - Animation duration in ms (default: navDuration)
+   * @param {string|Function} options.easing - Animation easing (default: navEasing)
+   * @returns {Promise<Object>} - Resolves with {completed, cancelled, reason} once the camera is in place
+   */
+  setState(state, options = {}) {
+    if (!state || typeof state !== 'object') {
+      throw new Error('setState requires a state object from getState()');
+    }
+
+    const { animate = false, duration = this.navDuration, easing = this.navEasing } = options;
+    const highlight = state.highlight || {};
+
+    // Validate highlight layers before anything changes
+    const keys = highlight.keys !== undefined ? this.normalizeHighlightKeys(highlight.keys) : null;
+    const layers = highlight.layers !== undefined ? this.buildHighlightLayers(highlight.layers, true) : null;
+
+    // Autoplay would move on from the restored state, so stop it first
+    if (state.autoplay) {
+      this.stopAutoPlay();
+    }
+
+    // Navigation point (nav bar, .nav-selected and section highlight) without touching the URL
+    if (Number.isInteger(state.navIndex)) {
+      const navElement = this.navElements && this.navElements[state.navIndex];
+      const navIndex = navElement ? state.navIndex : -1;
+      this.currentNavIndex = navIndex;
+      this.setActiveNavPoint(navIndex, true);
+
+      const section = navElement?.getAttribute('data-section') || navElement?.closest('.scene')?.getAttribute('data-section');
+      if (section) {
+        this.highlightSection(section);
+      } else {
+        this.container.querySelectorAll('.highlight').forEach(el => el.classList.remove('highlight'));
+      }
+    }
+
+    // Highlight keys and layers with a single refresh
+    if (keys || layers) {
+      this.applyHighlightState(keys, layers);
+    }
+
+    // Camera
+    const rotation = { ...this.currentRotation, ...state.rotation };
+    const zoom = typeof state.zoom === 'number' ? state.zoom : this.currentZoom;
+    const translation = this.sanitizeTranslation({ ...this.currentTranslation, ...state.translation });
+    let done;
+
+    // Keep the debounced camera URL update away while restoring
+    this.isClickNavigation = true;
+    clearTimeout(this.urlUpdateTimeout);
+
+    if (animate) {
+      done = this.smoothAnimateToWithPan(rotation, zoom, translation, duration, null, easing);
+    } else {
+      this.cancelCameraAnimation('api');
+      this.currentRotation = rotation;
+      this.clampRotation();
+      this.currentZoom = Math.max(0.2, Math.min(3.0, zoom));
+      this.currentTranslation = translation;
+      this.updateScene();
+      this.updateLabelPositions();
+      done = Promise.resolve({ completed: true, cancelled: false, reason: null });
+    }
+
+    if (typeof state.hasManualPanAdjustment === 'boolean') {
+      this.hasManualPanAdjustment = state.hasManualPanAdjustment;
+    }
+
+    // Resume autoplay from the restored step
+    if (state.autoplay?.playing) {
+      this.startAutoPlay(state.autoplay.highlightOnly, { immediate: false });
+    }
+
+    return done;
+  }
+
   // Three-phase initialization for SVG overlay (called automatically in init)
   initializeThreePhase() {
     // Guard against duplicate initialization
@@ -3513,17 +4889,7 @@ class Isometric3D {
 
     // Create SVG overlay if connectors are defined
     if (perspective && perspective.hasAttribute('data-connectors')) {
-      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      svg.classList.add('scene-overlay');
-      svg.style.position = 'absolute';
-      svg.style.top = '0';
-      svg.style.left = '0';
-      svg.style.width = '100%';
-      svg.style.height = '100%';
-      svg.style.pointerEvents = 'none';
-      svg.style.zIndex = '2';
-      svg.style.transform = 'translateZ(0.5px)'; // Bring SVG slightly forward to ensure visibility
-      perspective.insertBefore(svg, perspective.firstChild);
+      this.createSceneOverlay(perspective);
     }
 
     // Find cuboids and scenes that need initialization
@@ -3643,88 +5009,646 @@ class Isometric3D {
         this.startAllAnimations();
 
         // Load navigation state from URL if present
-        this.loadFromUrl();
+        this.runWithTrigger('url', () => this.loadFromUrl());
+
+        this.isReady = true;
+        this.emitWithState('ready');
+
+        // Attach the loaded state to the first history entry, so Back can return to it
+        if (this.historyMode === 'push') {
+          this.scheduleUrlWrite();
+        }
       }, 50); // Small delay to ensure updateScene has completed
 
     }, 300);
   }
 
-  // Capture initial 2D positions before any 3D transforms are applied
-  // This should ONLY be called once during initialization in flat 2D mode
-  captureInitialConnectorPositions() {
-    const perspective = this.container.querySelector('.isometric-perspective');
-    if (!perspective) return;
+  /**
+   * Get all connector definitions
+   * @returns {Array<Object>} - Copies of the connector definitions, each with its stable id
+   */
+  getConnectors() {
+    return this.getConnectorDefinitions().map(connector => JSON.parse(JSON.stringify(connector)));
+  }
 
-    const connectorsData = perspective.getAttribute('data-connectors');
-    if (!connectorsData) return;
+  /**
+   * Add a connector at runtime
+   * Accepts the same properties as data-connectors entries, plus an optional unique id.
+   * @param {Object} connector - Connector definition
+   * @returns {string} - The connector's id
+   */
+  addConnector(connector) {
+    if (!connector || typeof connector !== 'object') {
+      throw new Error('addConnector requires a connector definition object');
+    }
+    if (connector.id !== undefined && this.getConnectorDefinitions().some(other => other.id === String(connector.id))) {
+      throw new Error(`Connector id "${connector.id}" already exists`);
+    }
 
-    let connectors;
-    try {
-      connectors = JSON.parse(connectorsData);
-    } catch (e) {
+    if (!this.connectorDefinitions) {
+      this.connectorDefinitions = [];
+    }
+    const definition = this.assignConnectorId(JSON.parse(JSON.stringify(connector)));
+    this.connectorDefinitions.push(definition);
+
+    this.refreshConnector(definition);
+    return definition.id;
+  }
+
+  /**
+   * Update a connector at runtime
+   * Properties in the patch replace the existing ones; null/undefined values remove them.
+   * @param {string} id - Connector id
+   * @param {Object} patch - Properties to change (the id itself cannot change)
+   * @returns {Object|null} - Copy of the updated connector, or null if the id is unknown
+   */
+  updateConnector(id, patch) {
+    const definition = (this.connectorDefinitions || []).find(connector => connector.id === String(id));
+    if (!definition) {
+      console.warn(`⚠️ Connector not found: ${id}`);
+      return null;
+    }
+
+    Object.entries(patch || {}).forEach(([key, value]) => {
+      if (key === 'id') return;
+      if (value === null || value === undefined) {
+        delete definition[key];
+      } else {
+        definition[key] = JSON.parse(JSON.stringify(value));
+      }
+    });
+
+    this.refreshConnector(definition);
+    return JSON.parse(JSON.stringify(definition));
+  }
+
+  /**
+   * Remove a connector at runtime
+   * @param {string} id - Connector id
+   * @returns {boolean} - True if the connector existed
+   */
+  removeConnector(id) {
+    const index = (this.connectorDefinitions || []).findIndex(connector => connector.id === String(id));
+    if (index === -1) {
+      console.warn(`⚠️ Connector not found: ${id}`);
+      return false;
+    }
+
+    this.connectorDefinitions.splice(index, 1);
+
+    if (this.initialConnectorPositions) {
+      this.initialConnectorPositions.delete(String(id));
+      this.connectorRouteCache.delete(String(id));
+      this.refreshSpreadConnectors();
+      this.scheduleConnectorRedraw();
+      this.renderHighlightLegend();
+    }
+    return true;
+  }
+
+  /**
+   * Re-cache a single connector's positions and configuration after it was added or changed
+   * Positions come from the flat layout, so this works while the scene is rotated.
+   * @param {Object} connector - Connector definition (with id)
+   */
+  refreshConnector(connector) {
+    // Before initialization the connector is picked up by captureInitialConnectorPositions
+    if (!this.initialConnectorPositions) return;
+
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective) return;
+
+    this.createSceneOverlay(perspective);
+    this.cacheConnectorPositions(connector, this.getRuntimeCornersGetter(perspective));
+    this.connectorRouteCache.delete(connector.id);
+    this.refreshSpreadConnectors();
+    this.scheduleConnectorRedraw();
+    this.renderHighlightLegend();
+  }
+
+  /**
+   * Get a corners function for connectors cached after initialization
+   * Uses the flat layout, so it works while the scene is rotated.
+   * @param {HTMLElement} perspective - The perspective element
+   * @returns {Function} - element → corners {tl, tr, br, bl}
+   */
+  getRuntimeCornersGetter(perspective) {
+    return element => this.getFlatCorners(element) || this.getTransformedCorners(element, perspective.getBoundingClientRect());
+  }
+
+  /**
+   * Re-cache all connectors with "@spread" anchors
+   * Adding, changing or removing one of them changes the spacing of the others on the same side.
+   */
+  refreshSpreadConnectors() {
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective || !this.initialConnectorPositions) return;
+
+    const getCorners = this.getRuntimeCornersGetter(perspective);
+    this.getConnectorDefinitions().forEach(connector => {
+      const { fromPoint, toPoint } = this.parseConnectorEndpoints(connector);
+      if (String(fromPoint).endsWith('@spread') || String(toPoint).endsWith('@spread')) {
+        this.cacheConnectorPositions(connector, getCorners);
+        this.connectorRouteCache.delete(connector.id);
+      }
+    });
+  }
+
+  /**
+   * Redraw the connector overlay on the next animation frame
+   * Several connector changes (or camera updates) in a row share a single redraw. While the scene
+   * is dragged, redraws are at least connectorRedrawThrottle ms apart.
+   */
+  scheduleConnectorRedraw() {
+    if (this.connectorRedrawFrame || this.connectorRedrawTimer) return;
+
+    const wait = this.isDragging ? this.lastConnectorRedraw + this.connectorRedrawThrottle - performance.now() : 0;
+    if (wait > 0) {
+      this.connectorRedrawTimer = setTimeout(() => {
+        this.connectorRedrawTimer = null;
+        this.scheduleConnectorRedraw();
+      }, wait);
+      return;
+    }
+
+    this.connectorRedrawFrame = this.requestFrame(() => {
+      this.connectorRedrawFrame = null;
+      this.captureCoordinatesAndDrawSvg();
+    });
+  }
+
+  /**
+   * Get a connector definition by id
+   * @param {string} id - Connector id
+   * @returns {Object|null} - The live connector definition, or null if unknown
+   */
+  getConnectorById(id) {
+    return this.getConnectorDefinitions().find(connector => connector.id === String(id)) || null;
+  }
+
+  /**
+   * Handle clicks on connector hit areas
+   * Emits connectorClick and navigates when the connector defines nav and/or activate.
+   * @param {MouseEvent} e - click event (delegated from the perspective)
+   */
+  onConnectorClick(e) {
+    const hit = e.target instanceof Element ? e.target.closest('.connector-hit') : null;
+    if (!hit) return;
+
+    const connector = this.getConnectorById(hit.getAttribute('data-connector-id'));
+    if (!connector) return;
+
+    this.emit('connectorClick', {
+      id: connector.id,
+      connector: JSON.parse(JSON.stringify(connector)),
+      element: hit,
+      originalEvent: e
+    });
+
+    if (connector.nav || connector.activate) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.navigateToConnector(connector, hit);
+    }
+  }
+
+  /**
+   * Handle mouseover/mouseout on connector hit areas
+   * Emits connectorHover once when the pointer enters a connector and once when it leaves.
+   * @param {MouseEvent} e - mouseover or mouseout event (delegated from the perspective)
+   */
+  onConnectorHover(e) {
+    const node = e.type === 'mouseout' ? e.relatedTarget : e.target;
+    const hit = node instanceof Element ? node.closest('.connector-hit') : null;
+    const id = hit && !this.isDragging ? hit.getAttribute('data-connector-id') : null;
+
+    // Redraws replace the hit paths under the pointer; re-entering the same connector is not a new hover
+    if (id === this.hoveredConnectorId) return;
+
+    if (this.hoveredConnectorId) {
+      this.setConnectorHovered(this.hoveredConnectorId, false, e);
+    }
+    if (id) {
+      this.setConnectorHovered(id, true, e);
+    }
+  }
+
+  /**
+   * Set or clear the hover state of a connector and emit connectorHover
+   * @param {string} id - Connector id
+   * @param {boolean} hovered - Whether the pointer is over the connector
+   * @param {MouseEvent} originalEvent - Triggering event
+   */
+  setConnectorHovered(id, hovered, originalEvent) {
+    this.hoveredConnectorId = hovered ? id : null;
+
+    const path = this.container.querySelector(`.scene-overlay .connector-path[data-connector-id="${CSS.escape(id)}"]`);
+    if (path) {
+      path.classList.toggle('connector-hovered', hovered);
+    }
+
+    const connector = this.getConnectorById(id);
+    if (!connector) return;
+
+    this.emit('connectorHover', {
+      id,
+      connector: JSON.parse(JSON.stringify(connector)),
+      hovered,
+      element: path,
+      originalEvent
+    });
+  }
+
+  /**
+   * Navigate to a connector's own view and/or highlight its activate keys
+   * nav: {xyz, zoom, pan} in the same format as data-nav-xyz/-zoom/-pan (arrays are joined with ".").
+   * @param {Object} connector - Connector definition
+   * @param {Element} sourceElement - The connector's hit path (navigation source)
+   */
+  navigateToConnector(connector, sourceElement) {
+    const toNavValue = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      return Array.isArray(value) ? value.join('.') : String(value);
+    };
+
+    const activate = Array.isArray(connector.activate) ? connector.activate.join(',') : connector.activate;
+    const activateLayers = connector.activateLayers;
+
+    if (!connector.nav) {
+      // Highlight only, the camera stays where it is
+      this.applyHighlightState(this.normalizeHighlightKeys(activate),
+        activateLayers ? this.getLayersFromActivate(activateLayers) : null);
       return;
     }
 
+    this.navigateToPosition(
+      toNavValue(connector.nav.xyz),
+      toNavValue(connector.nav.zoom),
+      sourceElement,
+      toNavValue(connector.nav.pan) || 'current',
+      null,
+      false,
+      { activate: { keys: activate, layers: activateLayers } }
+    );
+  }
+
+  /**
+   * Create the SVG overlay that holds the connectors (once per instance)
+   * @param {HTMLElement} perspective - The perspective element
+   * @returns {SVGSVGElement} - The overlay
+   */
+  createSceneOverlay(perspective) {
+    const existing = perspective.querySelector('.scene-overlay');
+    if (existing) return existing;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.classList.add('scene-overlay');
+    svg.style.position = 'absolute';
+    svg.style.top = '0';
+    svg.style.left = '0';
+    svg.style.width = '100%';
+    svg.style.height = '100%';
+    svg.style.pointerEvents = 'none';
+    svg.style.zIndex = '2';
+    svg.style.transform = 'translateZ(0.5px)'; // Bring SVG slightly forward to ensure visibility
+    perspective.insertBefore(svg, perspective.firstChild);
+    return svg;
+  }
+
+  // Capture initial 2D positions before any 3D transforms are applied
+  // This should ONLY be called once during initialization in flat 2D mode
+  captureInitialConnectorPositions() {
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective) return;
+
+    // Parse the connector definitions once; afterwards they are managed in memory
+    // (see addConnector/updateConnector/removeConnector). Connectors added through the
+    // API before initialization are kept.
+    const addedConnectors = this.connectorDefinitions || [];
+    this.connectorDefinitions = [];
+    this.parseConnectorsAttribute(perspective).concat(addedConnectors)
+      .forEach(connector => this.connectorDefinitions.push(this.assignConnectorId(connector)));
+
     // Store initial positions AND configuration for all connector endpoints
     this.initialConnectorPositions = new Map();
     const perspectiveRect = perspective.getBoundingClientRect();
 
-    connectors.forEach((connector, index) => {
-      // Parse connector IDs and positions
-      let fromId, toId, fromPoint, toPoint;
+    // Capture scene rectangles in the same flat 2D space for automatic routing
+    this.routingObstacles = this.captureRoutingObstacles(perspective, perspectiveRect);
+    this.connectorRouteCache.clear();
 
-      if (connector.ids) {
-        const [from, to] = connector.ids.split(',').map(s => s.trim());
-        fromId = from;
-        toId = to;
-      } else {
-        fromId = connector.from;
-        toId = connector.to;
-      }
+    this.connectorDefinitions.forEach(connector => {
+      this.cacheConnectorPositions(connector, element => this.getTransformedCorners(element, perspectiveRect));
+    });
+  }
 
-      if (connector.positions) {
-        const [from, to] = connector.positions.split(',').map(s => s.trim());
-        fromPoint = from;
-        toPoint = to;
-      } else {
-        fromPoint = connector.fromPoint;
-        toPoint = connector.toPoint;
-      }
+  /**
+   * Parse the data-connectors attribute
+   * @param {HTMLElement} perspective - The perspective element
+   * @returns {Array<Object>} - Connector definitions (empty when missing or invalid)
+   */
+  parseConnectorsAttribute(perspective) {
+    const connectorsData = perspective.getAttribute('data-connectors');
+    if (!connectorsData) return [];
+
+    try {
+      const connectors = JSON.parse(connectorsData);
+      return Array.isArray(connectors) ? connectors : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Give a connector definition a stable, unique id (keeps an explicit, unused id)
+   * @param {Object} connector - Connector definition
+   * @returns {Object} - The same connector, with an id
+   */
+  assignConnectorId(connector) {
+    const taken = (id) => this.connectorDefinitions.some(other => other !== connector && other.id === id);
+
+    if (connector.id !== undefined && connector.id !== null && connector.id !== '') {
+      connector.id = String(connector.id);
+      if (!taken(connector.id)) return connector;
+      console.warn(`⚠️ Duplicate connector id "${connector.id}", assigning a new one`);
+    }
+
+    let id;
+    do {
+      id = `connector-${this.connectorIdCounter++}`;
+    } while (taken(id));
+    connector.id = id;
+    return connector;
+  }
+
+  /**
+   * Get a connector's endpoint element IDs and anchor positions
+   * Supports ids/positions ("from,to") and the legacy from/to/fromPoint/toPoint properties.
+   * @param {Object} connector - Connector definition
+   * @returns {Object} - {fromId, toId, fromPoint, toPoint}
+   */
+  parseConnectorEndpoints(connector) {
+    let fromId, toId, fromPoint, toPoint;
+
+    if (connector.ids) {
+      [fromId, toId] = connector.ids.split(',').map(s => s.trim());
+    } else {
+      fromId = connector.from;
+      toId = connector.to;
+    }
+
+    if (connector.positions) {
+      [fromPoint, toPoint] = connector.positions.split(',').map(s => s.trim());
+    } else {
+      fromPoint = connector.fromPoint;
+      toPoint = connector.toPoint;
+    }
+
+    return { fromId, toId, fromPoint, toPoint };
+  }
+
+  /**
+   * Cache a connector's flat 2D anchor points and configuration, keyed by connector id
+   * @param {Object} connector - Connector definition (with id)
+   * @param {Function} getCorners - element → corners {tl, tr, br, bl} in flat 2D space
+   */
+  cacheConnectorPositions(connector, getCorners) {
+    const { fromId, toId, fromPoint, toPoint } = this.parseConnectorEndpoints(connector);
+
+    const fromElement = document.getElementById(fromId);
+    const toElement = document.getElementById(toId);
+
+    if (!fromElement || !toElement) {
+      this.initialConnectorPositions.delete(connector.id);
+      return;
+    }
+
+    // Capture 2D positions
+    const fromCorners = getCorners(fromElement);
+    const toCorners = getCorners(toElement);
+
+    // Anchors resolve to a point in the flat layout, an elevation (face anchors) and the side used for routing
+    const start = this.resolveConnectorAnchor(fromElement, fromCorners, fromPoint || 'center', this.getSpreadFraction(connector, 'from'));
+    const end = this.resolveConnectorAnchor(toElement, toCorners, toPoint || 'center', this.getSpreadFraction(connector, 'to'));
+
+    // Extract groups/keys
+    const keys = this.getConnectorGroups(connector);
 
-      const fromElement = document.getElementById(fromId);
-      const toElement = document.getElementById(toId);
+    // Extract animation style
+    const animationStyle = connector.animationStyle || connector.lineAnimated ||
+      (connector.animated ? 'circle' : this.connectorDefaults?.animationStyle);
 
-      if (!fromElement || !toElement) return;
+    // Store positions AND original configuration (including groups and animationStyle)
+    this.initialConnectorPositions.set(connector.id, {
+      startPoint: { x: start.x, y: start.y },
+      endPoint: { x: end.x, y: end.y },
+      startElevation: start.z,
+      endElevation: end.z,
+      fromPoint: start.side,
+      toPoint: end.side,
+      groups: keys,  // Store the original groups
+      animationStyle: animationStyle  // Store the original animation style
+    });
+  }
 
-      // Capture initial 2D positions
-      const fromCorners = this.getTransformedCorners(fromElement, perspectiveRect);
-      const toCorners = this.getTransformedCorners(toElement, perspectiveRect);
+  /**
+   * Parse a fractional or face anchor
+   * Plain named anchors (center, top, bottom, left, right, corners) return null and keep their
+   * existing meaning. Recognized forms:
+   * - "front", "back" and any "face@fraction", e.g. "right@0.25" or "top@spread"
+   * - "face.edge[@fraction]", e.g. "top.front@0.25" (top face, front edge) or "front.top"
+   * @param {string} anchor - Anchor from positions/fromPoint/toPoint
+   * @returns {Object|null} - {face, edge, at} (at is a 0-1 fraction or 'spread'), or null for plain anchors
+   */
+  parseConnectorAnchor(anchor) {
+    const match = /^(top|bottom|front|back|left|right)(?:\.(top|bottom|front|back|left|right|center))?(?:@(spread|[\d.]+))?$/
+      .exec(String(anchor || '').trim());
+    if (!match) return null;
 
-      const startPoint = this.getConnectionPoint(fromCorners, fromPoint || 'center');
-      const endPoint = this.getConnectionPoint(toCorners, toPoint || 'center');
+    const [, face, edge, at] = match;
+    if (!edge && !at && face !== 'front' && face !== 'back') return null;
 
-      // Store positions AND original configuration (including groups and animationStyle)
-      const connectorKey = `${index}-${fromId}-${toId}`;
+    return {
+      face,
+      edge: edge || null,
+      at: at === 'spread' ? 'spread' : (at === undefined ? 0.5 : Math.max(0, Math.min(1, parseFloat(at) || 0)))
+    };
+  }
 
-      // Extract groups/keys
-      let keys = connector.groups || connector.keys || (connector.key ? [connector.key] : []);
-      if (typeof keys === 'string') {
-        keys = keys.split(',').map(k => k.trim());
+  /**
+   * Resolve a connector anchor to a point in the flat layout, its elevation and its routing side
+   * On cuboids, "top" and "bottom" address the faces (default edge: front) and the side faces sit at
+   * half height (edges: top, bottom, center). On other elements the faces map onto the sides of the
+   * bounding box (front → bottom, back → top) at the element's elevation.
+   * Fractions run left → right along x and back → front along y.
+   * @param {HTMLElement} element - Endpoint element
+   * @param {Object} corners - Flat corners {tl, tr, br, bl} of the element
+   * @param {string} anchor - Anchor, e.g. 'right', 'top@0.25' or 'front.top@spread'
+   * @param {number} spreadFraction - Fraction used for '@spread' anchors
+   * @returns {Object} - {x, y, z, side}; side is the plain anchor name used for routing
+   */
+  resolveConnectorAnchor(element, corners, anchor, spreadFraction = 0.5) {
+    const parsed = this.parseConnectorAnchor(anchor);
+    if (!parsed) {
+      const point = this.getConnectionPoint(corners, anchor);
+      return { x: point.x, y: point.y, z: 0, side: anchor };
+    }
+
+    const { face, at } = parsed;
+    const fraction = at === 'spread' ? spreadFraction : at;
+    const x0 = Math.min(corners.tl.x, corners.br.x);
+    const x1 = Math.max(corners.tl.x, corners.br.x);
+    const y0 = Math.min(corners.tl.y, corners.br.y);
+    const y1 = Math.max(corners.tl.y, corners.br.y);
+    const alongX = x0 + (x1 - x0) * fraction;
+    const alongY = y0 + (y1 - y0) * fraction;
+
+    const base = this.getElementElevation(element);
+    const isCuboid = element.classList.contains('cuboid');
+    const height = isCuboid ? (parseFloat(element.getAttribute('data-height')) || 100) : 0;
+
+    // Points on the edges of the top/bottom faces (and of flat elements)
+    const onEdge = (edge, z) => {
+      switch (edge) {
+        case 'back': return { x: alongX, y: y0, z, side: 'top' };
+        case 'left': return { x: x0, y: alongY, z, side: 'left' };
+        case 'right': return { x: x1, y: alongY, z, side: 'right' };
+        case 'center': return { x: alongX, y: (y0 + y1) / 2, z, side: 'center' };
+        default: return { x: alongX, y: y1, z, side: 'bottom' }; // front
       }
+    };
 
-      // Extract animation style
-      const animationStyle = connector.animationStyle || connector.lineAnimated ||
-        (connector.animated ? 'circle' : this.connectorDefaults?.animationStyle);
-
-      this.initialConnectorPositions.set(connectorKey, {
-        startPoint: { x: startPoint.x, y: startPoint.y },
-        endPoint: { x: endPoint.x, y: endPoint.y },
-        fromPoint,
-        toPoint,
-        groups: keys,  // Store the original groups
-        animationStyle: animationStyle  // Store the original animation style
-      });
+    if (!isCuboid) {
+      const edges = { top: 'back', bottom: 'front', front: 'front', back: 'back', left: 'left', right: 'right' };
+      return onEdge(edges[face], base);
+    }
+
+    if (face === 'top' || face === 'bottom') {
+      const edge = ['front', 'back', 'left', 'right', 'center'].includes(parsed.edge) ? parsed.edge : 'front';
+      return onEdge(edge, face === 'top' ? base + height : base);
+    }
+
+    // Side faces: fraction along the face, height from the edge (center by default)
+    const z = parsed.edge === 'top' ? base + height : (parsed.edge === 'bottom' ? base : base + height / 2);
+    return onEdge(face, z);
+  }
+
+  /**
+   * Get the fraction for a connector end with an "@spread" anchor
+   * All connector ends using the same anchor on the same element are spread evenly (in definition order).
+   * @param {Object} connector - Connector definition (with id)
+   * @param {string} end - 'from' or 'to'
+   * @param {Array<Object>} connectors - Connectors sharing the anchors (default: this instance's connectors)
+   * @returns {number} - Fraction between 0 and 1
+   */
+  getSpreadFraction(connector, end, connectors = this.getConnectorDefinitions()) {
+    const endpoints = this.parseConnectorEndpoints(connector);
+    const elementId = end === 'from' ? endpoints.fromId : endpoints.toId;
+    const anchor = end === 'from' ? endpoints.fromPoint : endpoints.toPoint;
+    if (!String(anchor).endsWith('@spread')) return 0.5;
+
+    const siblings = [];
+    connectors.forEach(other => {
+      const otherEndpoints = this.parseConnectorEndpoints(other);
+      if (otherEndpoints.fromId === elementId && otherEndpoints.fromPoint === anchor) siblings.push(`${other.id}:from`);
+      if (otherEndpoints.toId === elementId && otherEndpoints.toPoint === anchor) siblings.push(`${other.id}:to`);
     });
+
+    const index = Math.max(0, siblings.indexOf(`${connector.id}:${end}`));
+    return (index + 1) / (siblings.length + 1);
+  }
+
+  /**
+   * Get an element's elevation above the scene's base plane (sum of data-z-axis up to the perspective)
+   * @param {HTMLElement} element - Element
+   * @returns {number} - Elevation in px
+   */
+  getElementElevation(element) {
+    const perspective = this.container.querySelector('.isometric-perspective');
+    let elevation = 0;
+    for (let el = element; el && el !== perspective; el = el.parentElement) {
+      elevation += parseFloat(el.getAttribute('data-z-axis')) || 0;
+    }
+    return elevation;
+  }
+
+  /**
+   * Project an elevated point onto the connector overlay for the current camera rotation
+   * The overlay lies in the base plane, so the point is drawn where the line of sight through it
+   * meets that plane (parallel projection, CSS perspective is ignored).
+   * @param {Object} point - Point {x, y} in the flat layout
+   * @param {number} elevation - Height above the base plane in px
+   * @returns {Object} - Point {x, y} in overlay coordinates
+   */
+  projectElevatedPoint(point, elevation) {
+    if (!elevation) return point;
+
+    const toRadians = Math.PI / 180;
+    const a = this.currentRotation.x * toRadians;
+    const b = this.currentRotation.y * toRadians;
+    const c = this.currentRotation.z * toRadians;
+
+    // Viewing direction in scene coordinates: third row of rotateX · rotateY · rotateZ
+    const u = -Math.cos(a) * Math.sin(b);
+    const v = Math.sin(a);
+    const dx = u * Math.cos(c) + v * Math.sin(c);
+    const dy = -u * Math.sin(c) + v * Math.cos(c);
+    let dz = Math.cos(a) * Math.cos(b);
+    if (Math.abs(dz) < 0.05) {
+      dz = dz < 0 ? -0.05 : 0.05; // Nearly edge-on: avoid shooting the point off to infinity
+    }
+
+    return {
+      x: point.x - elevation * dx / dz,
+      y: point.y - elevation * dy / dz
+    };
+  }
+
+  /**
+   * Check whether any connector is attached at an elevation (face and fractional anchors)
+   * @returns {boolean}
+   */
+  hasElevatedConnectorAnchors() {
+    if (!this.initialConnectorPositions) return false;
+    for (const positions of this.initialConnectorPositions.values()) {
+      if (positions.startElevation || positions.endElevation) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get an element's corners in the flat 2D layout, ignoring all 3D transforms
+   * Used for connectors added after initialization, when the scene is already transformed.
+   * @param {HTMLElement} element - Element to measure
+   * @returns {Object|null} - Corners {tl, tr, br, bl} relative to the perspective, or null if not measurable
+   */
+  getFlatCorners(element) {
+    const perspective = this.container.querySelector('.isometric-perspective');
+    let x = 0;
+    let y = 0;
+    let current = element;
+
+    // offsetLeft/offsetTop are layout positions, unaffected by CSS transforms
+    while (current && current !== perspective) {
+      x += current.offsetLeft;
+      y += current.offsetTop;
+      current = current.offsetParent;
+      if (current && current !== perspective) {
+        x += current.clientLeft;
+        y += current.clientTop;
+      }
+    }
+
+    if (current !== perspective || element.offsetWidth === undefined) return null;
+
+    const width = element.offsetWidth;
+    const height = element.offsetHeight;
+    return {
+      tl: { x, y },
+      tr: { x: x + width, y },
+      br: { x: x + width, y: y + height },
+      bl: { x, y: y + height }
+    };
   }
 
   // Helper function to get transformed corners using getBoundingClientRect
@@ -3746,136 +5670,78 @@ class Isometric3D {
   }
 
   // Phase 2: Capture coordinates and draw SVG connectors
+  // Connector nodes are retained between redraws: everything is computed first (layout reads),
+  // then syncConnectorNodes patches only what changed (writes).
   captureCoordinatesAndDrawSvg() {
     const perspective = this.container.querySelector('.isometric-perspective');
     const svg = perspective.querySelector('.scene-overlay');
 
     if (!svg) return;
 
-    // Clear existing SVG content
-    svg.innerHTML = '';
+    this.lastConnectorRedraw = performance.now();
 
-    // Get the perspective container's position for reference
-    const perspectiveRect = perspective.getBoundingClientRect();
+    // Automatic routes share one time budget per redraw; the rest are routed on following frames
+    // (no budget on the virtual clock, so every frame shows the same routes regardless of CPU speed)
+    const routeDeadline = this.virtualClock ? Infinity : performance.now() + this.connectorRouting.timeBudget;
+    this.connectorRoutesPending = false;
+    this.connectorRoutesThisFrame = 0;
 
-    // Parse connector metadata from data attribute
-    const connectorsData = perspective.getAttribute('data-connectors');
-    if (!connectorsData) {
-      return;
-    }
+    // The perspective's position is only needed for connectors without cached positions
+    let perspectiveRect = null;
 
-    let connectors;
-    try {
-      connectors = JSON.parse(connectorsData);
-    } catch (e) {
+    // Connector definitions (parsed once from data-connectors, then managed in memory)
+    const connectors = this.getConnectorDefinitions();
+    if (connectors.length === 0) {
+      this.syncConnectorNodes(svg, [], new Map());
       return;
     }
 
-    // Scan connectors to determine which marker types are actually needed per color
-    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-    const needsArrow = new Set();      // colors that need regular arrow marker
-    const needsArrowSmall = new Set(); // colors that need small arrow marker
+    // Scan connectors to determine which markers are actually needed (per color and opacity)
+    const neededMarkers = new Map(); // markerId → {type, color, opacity}
+
+    const addMarker = (type, color, stroke) => {
+      neededMarkers.set(this.getArrowMarkerId(type, color, stroke), { type, color, opacity: stroke.opacity });
+    };
 
     connectors.forEach(c => {
-      const color = c.color || '#4CAF50';
-      let startLine, endLine;
-      if (c.endStyles) {
-        const [s, e] = c.endStyles.split(',').map(v => v.trim());
-        startLine = s || undefined;
-        endLine = e || undefined;
-      } else {
-        startLine = c.startLine || this.connectorDefaults.startLine;
-        endLine = c.endLine || this.connectorDefaults.endLine;
-      }
+      const color = this.getConnectorLayerColor(this.getConnectorGroups(c)) || c.color || '#4CAF50';
+      const stroke = this.getConnectorStroke(c);
+      const { startLine, endLine } = this.getConnectorLineEndings(c);
       [startLine, endLine].forEach(style => {
-        if (style === 'arrow' || style === 'arrow-circle') needsArrow.add(color);
-        if (style === 'arrowSmall') needsArrowSmall.add(color);
+        if (style === 'arrow' || style === 'arrow-circle') addMarker('arrow', color, stroke);
+        if (style === 'arrowSmall') addMarker('arrowSmall', color, stroke);
       });
     });
 
     // Add gray marker for non-highlighted connectors (dimming) — only for types actually used
-    if (needsArrow.size > 0) needsArrow.add('#80808000');
-    if (needsArrowSmall.size > 0) needsArrowSmall.add('#80808000');
-
-    // Create regular arrow markers only for colors that need them
-    needsArrow.forEach(color => {
-      const markerId = `arrowhead-${color.replace('#', '')}`;
-      const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-      marker.setAttribute('id', markerId);
-      marker.setAttribute('markerWidth', '13');
-      marker.setAttribute('markerHeight', '10');
-      marker.setAttribute('refX', '13');
-      marker.setAttribute('refY', '5');
-      marker.setAttribute('orient', 'auto');
-      marker.setAttribute('markerUnits', 'strokeWidth');
-
-      const arrowPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      arrowPath.setAttribute('d', 'M0,0 L0,10 L13,5 z');
-      arrowPath.setAttribute('fill', color);
-      marker.appendChild(arrowPath);
-      defs.appendChild(marker);
+    ['arrow', 'arrowSmall'].forEach(type => {
+      if ([...neededMarkers.values()].some(marker => marker.type === type)) {
+        addMarker(type, '#80808000', { width: 3, opacity: 1 });
+      }
     });
 
-    // Create small arrow markers only for colors that need them
-    needsArrowSmall.forEach(color => {
-      const markerIdSmall = `arrowhead-small-${color.replace('#', '')}`;
-      const markerSmall = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-      markerSmall.setAttribute('id', markerIdSmall);
-      markerSmall.setAttribute('markerWidth', '3');
-      markerSmall.setAttribute('markerHeight', '5');
-      markerSmall.setAttribute('refX', '3');
-      markerSmall.setAttribute('refY', '2.5');
-      markerSmall.setAttribute('orient', 'auto');
-      markerSmall.setAttribute('markerUnits', 'strokeWidth');
-
-      const arrowPathSmall = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      arrowPathSmall.setAttribute('d', 'M0,0 L0,5 L3,2.5 z');
-      arrowPathSmall.setAttribute('fill', color);
-      markerSmall.appendChild(arrowPathSmall);
-      defs.appendChild(markerSmall);
-    });
+    // Everything needed to draw each connector; applied to the retained nodes after the loop
+    const specs = [];
 
-    svg.appendChild(defs);
+    // Bundled connectors (connector id → path data); highlighted connectors are left out
+    const bundledPaths = this.connectorBundling.enabled ? this.getBundledConnectorPaths(connectors) : new Map();
 
     // Draw each connector
     connectors.forEach((connector, index) => {
       // Support simplified syntax: ids="from,to" or legacy from/to properties
-      let fromId, toId, fromPoint, toPoint, edgeAt;
-
-      if (connector.ids) {
-        const [from, to] = connector.ids.split(',').map(s => s.trim());
-        fromId = from;
-        toId = to;
-      } else {
-        fromId = connector.from;
-        toId = connector.to;
-      }
-
-      if (connector.positions) {
-        const [from, to] = connector.positions.split(',').map(s => s.trim());
-        fromPoint = from;
-        toPoint = to;
-      } else {
-        fromPoint = connector.fromPoint;
-        toPoint = connector.toPoint;
-      }
-
-      if (connector.vertices) {
-        edgeAt = connector.vertices;
-      } else {
-        edgeAt = connector.edgeAt;
-      }
-
+      const endpoints = this.parseConnectorEndpoints(connector);
+      const { fromId, toId } = endpoints;
+      let { fromPoint, toPoint } = endpoints;
       // Use stored initial 2D positions instead of recalculating from transformed state
-      const connectorKey = `${index}-${fromId}-${toId}`;
+      const connectorKey = connector.id;
       const cachedPositions = this.initialConnectorPositions?.get(connectorKey);
 
       let startPoint, endPoint;
 
       if (cachedPositions) {
-        // Use the stored initial 2D positions
-        startPoint = cachedPositions.startPoint;
-        endPoint = cachedPositions.endPoint;
+        // Use the stored initial 2D positions (elevated face anchors are projected for the current camera)
+        startPoint = this.projectElevatedPoint(cachedPositions.startPoint, cachedPositions.startElevation);
+        endPoint = this.projectElevatedPoint(cachedPositions.endPoint, cachedPositions.endElevation);
         fromPoint = cachedPositions.fromPoint;
         toPoint = cachedPositions.toPoint;
       } else {
@@ -3888,6 +5754,7 @@ class Isometric3D {
           return;
         }
 
+        perspectiveRect = perspectiveRect || perspective.getBoundingClientRect();
         const fromCorners = this.getTransformedCorners(fromElement, perspectiveRect);
         const toCorners = this.getTransformedCorners(toElement, perspectiveRect);
 
@@ -3915,531 +5782,1691 @@ class Isometric3D {
         );
       }
 
-      // Determine routing direction based on connection points
-      // left/right → horizontal first, top/bottom → vertical first, center → depends on opposite end
-      const startOrientation = this.getPointOrientation(fromPoint, toPoint, startPoint, endPoint);
-      const endOrientation = this.getPointOrientation(toPoint, fromPoint, endPoint, startPoint);
-
-      // Draw connector line with rounded corners
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      const color = connector.color || '#4CAF50';
-      const baseCornerRadius = 10;
-
-      // Support compact syntax: endStyles="start,end" or individual startLine/endLine
-      let startLine, endLine;
+      // Support: 'groups' (new, string or array), 'keys' (legacy), or 'key' (single, legacy)
+      const keys = this.getConnectorGroups(connector);
 
-      if (connector.endStyles) {
-        const [start, end] = connector.endStyles.split(',').map(s => s.trim());
-        startLine = start || undefined;
-        endLine = end || undefined;
-      } else {
-        // Legacy: showArrow, showStartCircle, showEndCircle
-        // Current: startLine, endLine
-        startLine = connector.startLine ||
-          (connector.showStartCircle ? 'circle' :
-            (connector.showArrow === false ? undefined : this.connectorDefaults.startLine));
+      // Connectors that belong to a highlight layer take the layer's (blended) color
+      const layerColor = this.getConnectorLayerColor(keys);
+      const color = layerColor || connector.color || '#4CAF50';
 
-        endLine = connector.endLine ||
-          (connector.showEndCircle ? 'circle' :
-            (connector.showArrow === false ? undefined : this.connectorDefaults.endLine));
-      }
+      // Line endings (endStyles, startLine/endLine or the legacy showArrow/showStartCircle/showEndCircle)
+      const { startLine, endLine } = this.getConnectorLineEndings(connector);
 
-      const lineStyle = connector.lineStyle || this.connectorDefaults.lineStyle;
+      // Stroke width, opacity, dash pattern, linecap and extra classes (lineStyle is resolved into dashArray)
+      const stroke = this.getConnectorStroke(connector);
       const animationStyle = connector.animationStyle || connector.lineAnimated ||
         (connector.animated ? 'circle' : this.connectorDefaults.animationStyle);
 
-      // Calculate direction and distance
-      const deltaY = endPoint.y - startPoint.y;
-      const deltaX = endPoint.x - startPoint.x;
-
-      // Determine the direction for corner calculation
-      const xDir = Math.sign(deltaX) || 1; // Left-to-right (1) or right-to-left (-1)
-      const yDir = Math.sign(deltaY) || 1; // Top-to-bottom (1) or bottom-to-top (-1)
-
-      // Helper function to calculate safe corner radius based on segment lengths
-      const getSafeRadius = (segment1Length, segment2Length) => {
-        // Use minimum of: base radius, half of first segment, half of second segment
-        // This prevents corners from exceeding available space
-        return Math.min(
-          baseCornerRadius,
-          Math.abs(segment1Length) / 2,
-          Math.abs(segment2Length) / 2
-        );
-      };
-
-      let pathData;
+      const bundled = bundledPaths.has(connectorKey);
 
-      // Helper function to get the directional sign for a position
-      // Returns -1 for left/up, +1 for right/down
-      const getPositionSign = (position) => {
-        if (position === 'left' || position === 'top') return -1;
-        if (position === 'right' || position === 'bottom') return 1;
-        return 1; // default for center
-      };
+      // Automatic routing: orthogonal path around all other scenes (null until routed or if no route exists)
+      const routing = connector.routing || this.connectorDefaults.routing;
+      const autoRoute = routing === 'auto' && !bundled
+        ? this.getAutoRoute(connectorKey, fromId, toId, startPoint, endPoint, fromPoint, toPoint, routeDeadline)
+        : null;
 
-      // Helper function to determine the axis orientation from position string
-      // Returns 'x' for left/right, 'y' for top/bottom, 'both' for center
-      const getPositionAxis = (position) => {
-        if (position === 'left' || position === 'right') return 'x';
-        if (position === 'top' || position === 'bottom') return 'y';
-        return 'both'; // center or corners
-      };
+      // Bundled connectors fan in to the shared trunk, follow it and fan out to the end
+      const pathData = bundled
+        ? bundledPaths.get(connectorKey)
+        : this.getConnectorPathData(connector, startPoint, endPoint, fromPoint, toPoint, autoRoute);
 
-      // Parse edgeAt/vertices parameter if provided: "startOffset,endOffset" in pixels
-      // The offset values are ABSOLUTE (always positive), and the sign is automatically
-      // applied based on the connection point direction:
-      // - "left" → negative X (going left)
-      // - "right" → positive X (going right)
-      // - "top" → negative Y (going up)
-      // - "bottom" → positive Y (going down)
-      // e.g., positions="left,bottom" vertices="40,30":
-      //   - From "left": 40px becomes -40 (going left)
-      //   - To "bottom": 30px becomes +30 (going down)
-      // Default: If no vertices provided, use 10 for L-shaped path
-      let edgeStart = null;
-      let edgeEnd = null;
-
-      if (edgeAt) {
-        const edges = edgeAt.split(',');
-        const rawEdgeStart = edges[0] ? parseFloat(edges[0]) : null;
-        const rawEdgeEnd = edges[1] ? parseFloat(edges[1]) : null;
-
-        // Apply directional sign based on the position
-        if (rawEdgeStart !== null) {
-          const startSign = getPositionSign(fromPoint);
-          edgeStart = Math.abs(rawEdgeStart) * startSign;
-        }
+      // Check if this path should be dimmed based on current highlight state
+      // Use the stored configuration from cachedPositions (already retrieved above)
+      const hasHighlights = this.getEffectiveHighlightKeys().length > 0;
+      let shouldDimThisPath = false;
 
-        if (rawEdgeEnd !== null) {
-          const endSign = getPositionSign(toPoint);
-          edgeEnd = Math.abs(rawEdgeEnd) * endSign;
-        } else {
-          // Default: Use 10px offset for L-shaped path when no vertices specified
-          const endSign = getPositionSign(toPoint);
-          edgeEnd = 10 * endSign;
-        }
+      // While hovering, every connector that doesn't touch the hovered element or match its groups is dimmed
+      if ((hasHighlights && cachedPositions && cachedPositions.groups && cachedPositions.groups.length > 0) ||
+        this.hoverHighlightState) {
+        // Check if ANY of the connector's groups match ANY of the REQUESTED highlight keys
+        // (not the groups of highlighted elements, which may include additional groups)
+        const hasMatchingHighlight = this.connectorMatchesHighlight(cachedPositions?.groups) ||
+          this.isHoverConnector(fromId, toId);
 
-      } else {
-        // Default: Use 10px offset for L-shaped path when no vertices specified
-        const startSign = getPositionSign(fromPoint);
-        edgeStart = 10 * startSign;
-      }
-
-      // Check if a straight line is possible
-      if (Math.abs(deltaY) < 1) {
-        // Case: Straight horizontal line (same Y)
-        pathData = `M ${startPoint.x},${startPoint.y} L ${endPoint.x},${endPoint.y}`;
-      } else if (Math.abs(deltaX) < 1) {
-        // Case: Straight vertical line (same X)
-        pathData = `M ${startPoint.x},${startPoint.y} L ${endPoint.x},${endPoint.y}`;
-      } else if (edgeStart !== null && edgeEnd !== null) {
-        // Case: Z-shaped path with two vertices
-        // Creates a 4-segment path: Start → Corner1 → Corner2 → Corner3 → End
-        // - First vertex: distance from start point (creates Corner1)
-        // - Second vertex: distance from end point (creates Corner3)
-        // - Corner2 is the intersection point where the two segments meet
-
-        // Calculate Corner1 (end of first segment from start)
-        let corner1X, corner1Y;
-        if (startOrientation === 'horizontal') {
-          corner1X = startPoint.x + edgeStart;
-          corner1Y = startPoint.y;
-        } else {
-          corner1X = startPoint.x;
-          corner1Y = startPoint.y + edgeStart;
-        }
+        shouldDimThisPath = !hasMatchingHighlight;
+      }
 
-        // Calculate Corner3 (start of last segment to end)
-        let corner3X, corner3Y;
-        if (endOrientation === 'horizontal') {
-          corner3X = endPoint.x + edgeEnd;
-          corner3Y = endPoint.y;
-        } else {
-          corner3X = endPoint.x;
-          corner3Y = endPoint.y + edgeEnd;
-        }
+      // Use stored animation style from initial configuration
+      const shouldHaveAnimation = ['circle', 'dash', 'pulse'].includes(cachedPositions?.animationStyle);
+
+      specs.push({
+        id: connectorKey,
+        index,
+        connector,
+        fromId,
+        toId,
+        keys,
+        color,
+        layerNames: layerColor ? this.getMatchingHighlightLayers(keys).map(layer => layer.name) : null,
+        stroke,
+        pathData,
+        startPoint,
+        endPoint,
+        // Line endings and animations are only shown on non-dimmed connectors
+        startLine: shouldDimThisPath ? undefined : startLine,
+        endLine: shouldDimThisPath ? undefined : endLine,
+        animationStyle: shouldHaveAnimation && !shouldDimThisPath ? cachedPositions.animationStyle : null,
+        bundled,
+        dimmed: shouldDimThisPath
+      });
+    });
 
-        // Calculate Corner2 (intersection/bridge point)
-        let corner2X, corner2Y;
-        if (startOrientation === 'horizontal' && endOrientation === 'vertical') {
-          // Horizontal start → Vertical end
-          corner2X = corner1X; // Keep X from corner1 (end of horizontal segment)
-          corner2Y = corner3Y; // Match Y from corner3 (level with third segment)
-        } else if (startOrientation === 'vertical' && endOrientation === 'horizontal') {
-          // Vertical start → Horizontal end
-          corner2X = corner3X; // Match X from corner3 (level with third segment)
-          corner2Y = corner1Y; // Keep Y from corner1 (end of vertical segment)
-        } else if (startOrientation === 'horizontal' && endOrientation === 'horizontal') {
-          // Both horizontal
-          corner2X = corner1X; // Keep X from corner1
-          corner2Y = corner3Y; // Match Y from corner3
-        } else {
-          // Both vertical
-          corner2X = corner3X; // Match X from corner3
-          corner2Y = corner1Y; // Keep Y from corner1
-        }
+    this.syncConnectorNodes(svg, specs, neededMarkers);
 
-        // Calculate segment lengths for accurate corner radii
-        const segmentLength1 = Math.sqrt(
-          Math.pow(corner1X - startPoint.x, 2) + Math.pow(corner1Y - startPoint.y, 2)
-        );
-        const segmentLength2 = Math.sqrt(
-          Math.pow(corner2X - corner1X, 2) + Math.pow(corner2Y - corner1Y, 2)
-        );
-        const segmentLength3 = Math.sqrt(
-          Math.pow(corner3X - corner2X, 2) + Math.pow(corner3Y - corner2Y, 2)
-        );
-        const segmentLength4 = Math.sqrt(
-          Math.pow(endPoint.x - corner3X, 2) + Math.pow(endPoint.y - corner3Y, 2)
-        );
+    // Draw again once the remaining automatic routes fit into the next frame's budget
+    if (this.connectorRoutesPending && !this.connectorRouteFrame) {
+      this.connectorRouteFrame = this.requestFrame(() => {
+        this.connectorRouteFrame = null;
+        this.captureCoordinatesAndDrawSvg();
+      });
+    }
+  }
+
+  /**
+   * Get a connector's line endings
+   * Supports endStyles="start,end", startLine/endLine and the legacy showArrow/showStartCircle/showEndCircle.
+   * @param {Object} connector - Connector definition
+   * @returns {Object} - {startLine, endLine}, e.g. 'arrow', 'arrowSmall', 'circle', 'arrow-circle' or undefined
+   */
+  getConnectorLineEndings(connector) {
+    let startLine, endLine;
+
+    if (connector.endStyles) {
+      const [start, end] = connector.endStyles.split(',').map(s => s.trim());
+      startLine = start || undefined;
+      endLine = end || undefined;
+    } else {
+      // Legacy: showArrow, showStartCircle, showEndCircle
+      // Current: startLine, endLine
+      startLine = connector.startLine ||
+        (connector.showStartCircle ? 'circle' :
+          (connector.showArrow === false ? undefined : this.connectorDefaults.startLine));
+
+      endLine = connector.endLine ||
+        (connector.showEndCircle ? 'circle' :
+          (connector.showArrow === false ? undefined : this.connectorDefaults.endLine));
+    }
+
+
+    return { startLine, endLine };
+  }
+
+  /**
+   * Build the path data of a connector between two anchor points
+   * Covers every routing style (orthogonal with edgeAt/vertices, rounded, bezier, straight) and
+   * automatic routes. Also used by ConnectorLayer, which passes on-screen points.
+   * @param {Object} connector - Connector definition (curve, cornerRadius, edgeAt/vertices)
+   * @param {Object} startPoint - Start coordinates {x, y}
+   * @param {Object} endPoint - End coordinates {x, y}
+   * @param {string} fromPoint - Start anchor position name
+   * @param {string} toPoint - End anchor position name
+   * @param {Array<Object>|null} autoRoute - Route points from automatic routing, if any
+   * @returns {string} - SVG path data
+   */
+  getConnectorPathData(connector, startPoint, endPoint, fromPoint, toPoint, autoRoute = null) {
+    let edgeAt;
+
+    if (connector.vertices) {
+      edgeAt = connector.vertices;
+    } else {
+      edgeAt = connector.edgeAt;
+    }
+
+    // Determine routing direction based on connection points
+    // left/right → horizontal first, top/bottom → vertical first, center → depends on opposite end
+    const startOrientation = this.getPointOrientation(fromPoint, toPoint, startPoint, endPoint);
+    const endOrientation = this.getPointOrientation(toPoint, fromPoint, endPoint, startPoint);
+
+    // Routing style: 'orthogonal' (default), 'rounded' (orthogonal with configurable corner radius),
+    // 'bezier' (smooth curve leaving/entering along each anchor's direction) or 'straight'
+    const curve = connector.curve || this.connectorDefaults.curve;
+    const baseCornerRadius = curve === 'rounded'
+      ? (connector.cornerRadius ?? this.connectorDefaults.cornerRadius)
+      : 10;
+
+    // Calculate direction and distance
+    const deltaY = endPoint.y - startPoint.y;
+    const deltaX = endPoint.x - startPoint.x;
+
+    // Determine the direction for corner calculation
+    const xDir = Math.sign(deltaX) || 1; // Left-to-right (1) or right-to-left (-1)
+    const yDir = Math.sign(deltaY) || 1; // Top-to-bottom (1) or bottom-to-top (-1)
+
+    // Helper function to calculate safe corner radius based on segment lengths
+    const getSafeRadius = (segment1Length, segment2Length) => {
+      // Use minimum of: base radius, half of first segment, half of second segment
+      // This prevents corners from exceeding available space
+      return Math.min(
+        baseCornerRadius,
+        Math.abs(segment1Length) / 2,
+        Math.abs(segment2Length) / 2
+      );
+    };
+
+    let pathData;
+
+    // Helper function to get the directional sign for a position
+    // Returns -1 for left/up, +1 for right/down
+    const getPositionSign = (position) => {
+      if (position === 'left' || position === 'top') return -1;
+      if (position === 'right' || position === 'bottom') return 1;
+      return 1; // default for center
+    };
+
+    // Helper function to determine the axis orientation from position string
+    // Returns 'x' for left/right, 'y' for top/bottom, 'both' for center
+    const getPositionAxis = (position) => {
+      if (position === 'left' || position === 'right') return 'x';
+      if (position === 'top' || position === 'bottom') return 'y';
+      return 'both'; // center or corners
+    };
+
+    // Parse edgeAt/vertices parameter if provided: "startOffset,endOffset" in pixels
+    // The offset values are ABSOLUTE (always positive), and the sign is automatically
+    // applied based on the connection point direction:
+    // - "left" → negative X (going left)
+    // - "right" → positive X (going right)
+    // - "top" → negative Y (going up)
+    // - "bottom" → positive Y (going down)
+    // e.g., positions="left,bottom" vertices="40,30":
+    //   - From "left": 40px becomes -40 (going left)
+    //   - To "bottom": 30px becomes +30 (going down)
+    // Default: If no vertices provided, use 10 for L-shaped path
+    let edgeStart = null;
+    let edgeEnd = null;
+
+    if (edgeAt) {
+      const edges = edgeAt.split(',');
+      const rawEdgeStart = edges[0] ? parseFloat(edges[0]) : null;
+      const rawEdgeEnd = edges[1] ? parseFloat(edges[1]) : null;
+
+      // Apply directional sign based on the position
+      if (rawEdgeStart !== null) {
+        const startSign = getPositionSign(fromPoint);
+        edgeStart = Math.abs(rawEdgeStart) * startSign;
+      }
+
+      if (rawEdgeEnd !== null) {
+        const endSign = getPositionSign(toPoint);
+        edgeEnd = Math.abs(rawEdgeEnd) * endSign;
+      } else {
+        // Default: Use 10px offset for L-shaped path when no vertices specified
+        const endSign = getPositionSign(toPoint);
+        edgeEnd = 10 * endSign;
+      }
+
+    } else {
+      // Default: Use 10px offset for L-shaped path when no vertices specified
+      const startSign = getPositionSign(fromPoint);
+      edgeStart = 10 * startSign;
+    }
+
+    if (autoRoute) {
+      pathData = this.getRoundedPolylinePathData(autoRoute, baseCornerRadius);
+    } else if (curve === 'straight') {
+      // Case: Direct line between the anchors
+      pathData = `M ${startPoint.x},${startPoint.y} L ${endPoint.x},${endPoint.y}`;
+    } else if (curve === 'bezier') {
+      // Case: Cubic curve whose end tangents follow the anchor directions (markers orient along them)
+      pathData = this.getBezierPathData(startPoint, endPoint, fromPoint, toPoint, startOrientation, endOrientation);
+    } else if (Math.abs(deltaY) < 1) {
+      // Case: Straight horizontal line (same Y)
+      pathData = `M ${startPoint.x},${startPoint.y} L ${endPoint.x},${endPoint.y}`;
+    } else if (Math.abs(deltaX) < 1) {
+      // Case: Straight vertical line (same X)
+      pathData = `M ${startPoint.x},${startPoint.y} L ${endPoint.x},${endPoint.y}`;
+    } else if (edgeStart !== null && edgeEnd !== null) {
+      // Case: Z-shaped path with two vertices
+      // Creates a 4-segment path: Start → Corner1 → Corner2 → Corner3 → End
+      // - First vertex: distance from start point (creates Corner1)
+      // - Second vertex: distance from end point (creates Corner3)
+      // - Corner2 is the intersection point where the two segments meet
+
+      // Calculate Corner1 (end of first segment from start)
+      let corner1X, corner1Y;
+      if (startOrientation === 'horizontal') {
+        corner1X = startPoint.x + edgeStart;
+        corner1Y = startPoint.y;
+      } else {
+        corner1X = startPoint.x;
+        corner1Y = startPoint.y + edgeStart;
+      }
+
+      // Calculate Corner3 (start of last segment to end)
+      let corner3X, corner3Y;
+      if (endOrientation === 'horizontal') {
+        corner3X = endPoint.x + edgeEnd;
+        corner3Y = endPoint.y;
+      } else {
+        corner3X = endPoint.x;
+        corner3Y = endPoint.y + edgeEnd;
+      }
+
+      // Calculate Corner2 (intersection/bridge point)
+      let corner2X, corner2Y;
+      if (startOrientation === 'horizontal' && endOrientation === 'vertical') {
+        // Horizontal start → Vertical end
+        corner2X = corner1X; // Keep X from corner1 (end of horizontal segment)
+        corner2Y = corner3Y; // Match Y from corner3 (level with third segment)
+      } else if (startOrientation === 'vertical' && endOrientation === 'horizontal') {
+        // Vertical start → Horizontal end
+        corner2X = corner3X; // Match X from corner3 (level with third segment)
+        corner2Y = corner1Y; // Keep Y from corner1 (end of vertical segment)
+      } else if (startOrientation === 'horizontal' && endOrientation === 'horizontal') {
+        // Both horizontal
+        corner2X = corner1X; // Keep X from corner1
+        corner2Y = corner3Y; // Match Y from corner3
+      } else {
+        // Both vertical
+        corner2X = corner3X; // Match X from corner3
+        corner2Y = corner1Y; // Keep Y from corner1
+      }
 
-        // Calculate safe radii for each corner
-        const radius1 = getSafeRadius(segmentLength1, segmentLength2);
-        const radius2 = getSafeRadius(segmentLength2, segmentLength3);
-        const radius3 = getSafeRadius(segmentLength3, segmentLength4);
+      // Calculate segment lengths for accurate corner radii
+      const segmentLength1 = Math.sqrt(
+        Math.pow(corner1X - startPoint.x, 2) + Math.pow(corner1Y - startPoint.y, 2)
+      );
+      const segmentLength2 = Math.sqrt(
+        Math.pow(corner2X - corner1X, 2) + Math.pow(corner2Y - corner1Y, 2)
+      );
+      const segmentLength3 = Math.sqrt(
+        Math.pow(corner3X - corner2X, 2) + Math.pow(corner3Y - corner2Y, 2)
+      );
+      const segmentLength4 = Math.sqrt(
+        Math.pow(endPoint.x - corner3X, 2) + Math.pow(endPoint.y - corner3Y, 2)
+      );
 
-        // Calculate unit directions for each segment
-        const dir1X = segmentLength1 > 0 ? (corner1X - startPoint.x) / segmentLength1 : 0;
-        const dir1Y = segmentLength1 > 0 ? (corner1Y - startPoint.y) / segmentLength1 : 0;
+      // Calculate safe radii for each corner
+      const radius1 = getSafeRadius(segmentLength1, segmentLength2);
+      const radius2 = getSafeRadius(segmentLength2, segmentLength3);
+      const radius3 = getSafeRadius(segmentLength3, segmentLength4);
+
+      // Calculate unit directions for each segment
+      const dir1X = segmentLength1 > 0 ? (corner1X - startPoint.x) / segmentLength1 : 0;
+      const dir1Y = segmentLength1 > 0 ? (corner1Y - startPoint.y) / segmentLength1 : 0;
+
+      const dir2X = segmentLength2 > 0 ? (corner2X - corner1X) / segmentLength2 : 0;
+      const dir2Y = segmentLength2 > 0 ? (corner2Y - corner1Y) / segmentLength2 : 0;
+
+      const dir3X = segmentLength3 > 0 ? (corner3X - corner2X) / segmentLength3 : 0;
+      const dir3Y = segmentLength3 > 0 ? (corner3Y - corner2Y) / segmentLength3 : 0;
+
+      const dir4X = segmentLength4 > 0 ? (endPoint.x - corner3X) / segmentLength4 : 0;
+      const dir4Y = segmentLength4 > 0 ? (endPoint.y - corner3Y) / segmentLength4 : 0;
+
+      // Build Z-shaped path with accurate corner positions
+      pathData = `
+        M ${startPoint.x},${startPoint.y}
+        L ${corner1X - dir1X * radius1},${corner1Y - dir1Y * radius1}
+        Q ${corner1X},${corner1Y} ${corner1X + dir2X * radius1},${corner1Y + dir2Y * radius1}
+        L ${corner2X - dir2X * radius2},${corner2Y - dir2Y * radius2}
+        Q ${corner2X},${corner2Y} ${corner2X + dir3X * radius2},${corner2Y + dir3Y * radius2}
+        L ${corner3X - dir3X * radius3},${corner3Y - dir3Y * radius3}
+        Q ${corner3X},${corner3Y} ${corner3X + dir4X * radius3},${corner3Y + dir4Y * radius3}
+        L ${endPoint.x},${endPoint.y}
+      `.trim();
+    } else if (edgeStart !== null && edgeEnd === null) {
+      // Case: L-shaped path with single vertex
+      // Creates a 2-segment path: Start → Corner → End
+
+      let cornerX, cornerY;
+
+      if (startOrientation === 'horizontal') {
+        // Horizontal first, then vertical to end
+        cornerX = startPoint.x + edgeStart;
+        cornerY = endPoint.y;
+      } else {
+        // Vertical first, then horizontal to end
+        cornerX = endPoint.x;
+        cornerY = startPoint.y + edgeStart;
+      }
 
-        const dir2X = segmentLength2 > 0 ? (corner2X - corner1X) / segmentLength2 : 0;
-        const dir2Y = segmentLength2 > 0 ? (corner2Y - corner1Y) / segmentLength2 : 0;
+      // Calculate segment lengths for accurate corner radius
+      const segmentLength1 = Math.sqrt(
+        Math.pow(cornerX - startPoint.x, 2) + Math.pow(cornerY - startPoint.y, 2)
+      );
+      const segmentLength2 = Math.sqrt(
+        Math.pow(endPoint.x - cornerX, 2) + Math.pow(endPoint.y - cornerY, 2)
+      );
+      const radius = getSafeRadius(segmentLength1, segmentLength2);
+
+      pathData = `
+        M ${startPoint.x},${startPoint.y}
+        L ${cornerX - xDir * radius},${cornerY - yDir * radius}
+        Q ${cornerX},${cornerY} ${cornerX + xDir * radius},${cornerY + yDir * radius}
+        L ${endPoint.x},${endPoint.y}
+      `.trim();
+    } else if (edgeEnd !== null && edgeStart === null) {
+      // Case: Single edge at end only (",60")
+      // edgeEnd interpretation based on toPoint position axis
+      const endAxis = getPositionAxis(toPoint);
+
+      if (startOrientation === 'horizontal') {
+        // Start → horizontal → Corner ↓ vertical → corner → horizontal(edgeEnd) → End
+        // Interpret edgeEnd based on toPoint axis
+        const cornerX = endAxis === 'x' ? endPoint.x - edgeEnd :
+          endAxis === 'y' ? endPoint.x - (edgeEnd * xDir) :
+            endPoint.x - edgeEnd;
+
+        // Calculate safe radius for both corners
+        const horizontalDist = Math.abs(startPoint.x - cornerX);
+        const verticalDist = Math.abs(deltaY);
+        const horizontalDist2 = Math.abs(endPoint.x - cornerX);
+        const cornerRadius = getSafeRadius(horizontalDist, verticalDist);
+        const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
+
+        // Direction from start to corner and corner to end
+        const toCornerDir = Math.sign(cornerX - startPoint.x) || 1;
+        const fromCornerDir = Math.sign(endPoint.x - cornerX) || 1;
 
-        const dir3X = segmentLength3 > 0 ? (corner3X - corner2X) / segmentLength3 : 0;
-        const dir3Y = segmentLength3 > 0 ? (corner3Y - corner2Y) / segmentLength3 : 0;
+        pathData = `
+          M ${startPoint.x},${startPoint.y}
+          L ${cornerX - toCornerDir * cornerRadius},${startPoint.y}
+          Q ${cornerX},${startPoint.y} ${cornerX},${startPoint.y + yDir * cornerRadius}
+          L ${cornerX},${endPoint.y - yDir * cornerRadius2}
+          Q ${cornerX},${endPoint.y} ${cornerX + fromCornerDir * cornerRadius2},${endPoint.y}
+          L ${endPoint.x},${endPoint.y}
+        `.trim();
+      } else {
+        // Start ↓ Vertical ↓ Corner → horizontal → End
+        // Interpret edgeEnd based on toPoint axis
+        const endDirY = Math.sign(deltaY) || 1;
 
-        const dir4X = segmentLength4 > 0 ? (endPoint.x - corner3X) / segmentLength4 : 0;
-        const dir4Y = segmentLength4 > 0 ? (endPoint.y - corner3Y) / segmentLength4 : 0;
+        // Calculate safe radius
+        const verticalDist = Math.abs(deltaY);
+        const horizontalDist = Math.abs(deltaX);
+        const cornerRadius = getSafeRadius(verticalDist, horizontalDist);
 
-        // Build Z-shaped path with accurate corner positions
         pathData = `
           M ${startPoint.x},${startPoint.y}
-          L ${corner1X - dir1X * radius1},${corner1Y - dir1Y * radius1}
-          Q ${corner1X},${corner1Y} ${corner1X + dir2X * radius1},${corner1Y + dir2Y * radius1}
-          L ${corner2X - dir2X * radius2},${corner2Y - dir2Y * radius2}
-          Q ${corner2X},${corner2Y} ${corner2X + dir3X * radius2},${corner2Y + dir3Y * radius2}
-          L ${corner3X - dir3X * radius3},${corner3Y - dir3Y * radius3}
-          Q ${corner3X},${corner3Y} ${corner3X + dir4X * radius3},${corner3Y + dir4Y * radius3}
+          L ${startPoint.x},${endPoint.y - endDirY * cornerRadius}
+          Q ${startPoint.x},${endPoint.y} ${startPoint.x + xDir * cornerRadius},${endPoint.y}
           L ${endPoint.x},${endPoint.y}
         `.trim();
-      } else if (edgeStart !== null && edgeEnd === null) {
-        // Case: L-shaped path with single vertex
-        // Creates a 2-segment path: Start → Corner → End
+      }
+    } else if (edgeStart !== null && edgeEnd === null) {
+      // Case: Single edge at start only ("50,")
+      if (startOrientation === 'horizontal') {
+        // Start → horizontal(edgeStart px) → Corner ↓ Vertical ↓ Corner → End
+        const cornerX = startPoint.x + xDir * edgeStart;
+
+        // Calculate safe radius for both corners
+        const horizontalDist = Math.abs(edgeStart);
+        const verticalDist = Math.abs(deltaY);
+        const horizontalDist2 = Math.abs(endPoint.x - cornerX);
+        const cornerRadius = getSafeRadius(horizontalDist, verticalDist);
+        const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
 
-        let cornerX, cornerY;
+        pathData = `
+          M ${startPoint.x},${startPoint.y}
+          L ${cornerX - xDir * cornerRadius},${startPoint.y}
+          Q ${cornerX},${startPoint.y} ${cornerX},${startPoint.y + yDir * cornerRadius}
+          L ${cornerX},${endPoint.y - yDir * cornerRadius2}
+          Q ${cornerX},${endPoint.y} ${cornerX + xDir * cornerRadius2},${endPoint.y}
+          L ${endPoint.x},${endPoint.y}
+        `.trim();
+      } else {
+        // Start ↓ vertical(edgeStart px) ↓ Corner → horizontal → corner ↓ End
+        const cornerY = startPoint.y + yDir * edgeStart;
 
-        if (startOrientation === 'horizontal') {
-          // Horizontal first, then vertical to end
-          cornerX = startPoint.x + edgeStart;
-          cornerY = endPoint.y;
-        } else {
-          // Vertical first, then horizontal to end
-          cornerX = endPoint.x;
-          cornerY = startPoint.y + edgeStart;
-        }
+        // Calculate safe radius for both corners
+        const verticalDist = Math.abs(edgeStart);
+        const horizontalDist = Math.abs(deltaX);
+        const verticalDist2 = Math.abs(endPoint.y - cornerY);
+        const cornerRadius = getSafeRadius(verticalDist, horizontalDist);
+        const cornerRadius2 = getSafeRadius(horizontalDist, verticalDist2);
 
-        // Calculate segment lengths for accurate corner radius
-        const segmentLength1 = Math.sqrt(
-          Math.pow(cornerX - startPoint.x, 2) + Math.pow(cornerY - startPoint.y, 2)
-        );
-        const segmentLength2 = Math.sqrt(
-          Math.pow(endPoint.x - cornerX, 2) + Math.pow(endPoint.y - cornerY, 2)
-        );
-        const radius = getSafeRadius(segmentLength1, segmentLength2);
+        pathData = `
+          M ${startPoint.x},${startPoint.y}
+          L ${startPoint.x},${cornerY - yDir * cornerRadius}
+          Q ${startPoint.x},${cornerY} ${startPoint.x + xDir * cornerRadius},${cornerY}
+          L ${endPoint.x - xDir * cornerRadius2},${cornerY}
+          Q ${endPoint.x},${cornerY} ${endPoint.x},${cornerY + yDir * cornerRadius2}
+          L ${endPoint.x},${endPoint.y}
+        `.trim();
+      }
+    } else {
+      // Case: No edgeAt specified - use default based on orientation
+      if (startOrientation === 'horizontal') {
+        // Default horizontal routing: 25%/75% of horizontal distance
+        const corner1X = startPoint.x + deltaX * 0.25;
+        const corner2X = startPoint.x + deltaX * 0.75;
+
+        // Calculate safe radius for both corners
+        const horizontalDist1 = Math.abs(corner1X - startPoint.x);
+        const verticalDist = Math.abs(deltaY);
+        const horizontalDist2 = Math.abs(endPoint.x - corner2X);
+        const cornerRadius = getSafeRadius(horizontalDist1, verticalDist);
+        const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
 
         pathData = `
           M ${startPoint.x},${startPoint.y}
-          L ${cornerX - xDir * radius},${cornerY - yDir * radius}
-          Q ${cornerX},${cornerY} ${cornerX + xDir * radius},${cornerY + yDir * radius}
+          L ${corner1X - xDir * cornerRadius},${startPoint.y}
+          Q ${corner1X},${startPoint.y} ${corner1X},${startPoint.y + yDir * cornerRadius}
+          L ${corner2X},${endPoint.y - yDir * cornerRadius2}
+          Q ${corner2X},${endPoint.y} ${corner2X + xDir * cornerRadius2},${endPoint.y}
           L ${endPoint.x},${endPoint.y}
         `.trim();
-      } else if (edgeEnd !== null && edgeStart === null) {
-        // Case: Single edge at end only (",60")
-        // edgeEnd interpretation based on toPoint position axis
-        const endAxis = getPositionAxis(toPoint);
-
-        if (startOrientation === 'horizontal') {
-          // Start → horizontal → Corner ↓ vertical → corner → horizontal(edgeEnd) → End
-          // Interpret edgeEnd based on toPoint axis
-          const cornerX = endAxis === 'x' ? endPoint.x - edgeEnd :
-            endAxis === 'y' ? endPoint.x - (edgeEnd * xDir) :
-              endPoint.x - edgeEnd;
-
-          // Calculate safe radius for both corners
-          const horizontalDist = Math.abs(startPoint.x - cornerX);
-          const verticalDist = Math.abs(deltaY);
-          const horizontalDist2 = Math.abs(endPoint.x - cornerX);
-          const cornerRadius = getSafeRadius(horizontalDist, verticalDist);
-          const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
-
-          // Direction from start to corner and corner to end
-          const toCornerDir = Math.sign(cornerX - startPoint.x) || 1;
-          const fromCornerDir = Math.sign(endPoint.x - cornerX) || 1;
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${cornerX - toCornerDir * cornerRadius},${startPoint.y}
-            Q ${cornerX},${startPoint.y} ${cornerX},${startPoint.y + yDir * cornerRadius}
-            L ${cornerX},${endPoint.y - yDir * cornerRadius2}
-            Q ${cornerX},${endPoint.y} ${cornerX + fromCornerDir * cornerRadius2},${endPoint.y}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        } else {
-          // Start ↓ Vertical ↓ Corner → horizontal → End
-          // Interpret edgeEnd based on toPoint axis
-          const endDirY = Math.sign(deltaY) || 1;
-
-          // Calculate safe radius
-          const verticalDist = Math.abs(deltaY);
-          const horizontalDist = Math.abs(deltaX);
-          const cornerRadius = getSafeRadius(verticalDist, horizontalDist);
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${startPoint.x},${endPoint.y - endDirY * cornerRadius}
-            Q ${startPoint.x},${endPoint.y} ${startPoint.x + xDir * cornerRadius},${endPoint.y}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        }
-      } else if (edgeStart !== null && edgeEnd === null) {
-        // Case: Single edge at start only ("50,")
-        if (startOrientation === 'horizontal') {
-          // Start → horizontal(edgeStart px) → Corner ↓ Vertical ↓ Corner → End
-          const cornerX = startPoint.x + xDir * edgeStart;
-
-          // Calculate safe radius for both corners
-          const horizontalDist = Math.abs(edgeStart);
-          const verticalDist = Math.abs(deltaY);
-          const horizontalDist2 = Math.abs(endPoint.x - cornerX);
-          const cornerRadius = getSafeRadius(horizontalDist, verticalDist);
-          const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${cornerX - xDir * cornerRadius},${startPoint.y}
-            Q ${cornerX},${startPoint.y} ${cornerX},${startPoint.y + yDir * cornerRadius}
-            L ${cornerX},${endPoint.y - yDir * cornerRadius2}
-            Q ${cornerX},${endPoint.y} ${cornerX + xDir * cornerRadius2},${endPoint.y}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        } else {
-          // Start ↓ vertical(edgeStart px) ↓ Corner → horizontal → corner ↓ End
-          const cornerY = startPoint.y + yDir * edgeStart;
-
-          // Calculate safe radius for both corners
-          const verticalDist = Math.abs(edgeStart);
-          const horizontalDist = Math.abs(deltaX);
-          const verticalDist2 = Math.abs(endPoint.y - cornerY);
-          const cornerRadius = getSafeRadius(verticalDist, horizontalDist);
-          const cornerRadius2 = getSafeRadius(horizontalDist, verticalDist2);
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${startPoint.x},${cornerY - yDir * cornerRadius}
-            Q ${startPoint.x},${cornerY} ${startPoint.x + xDir * cornerRadius},${cornerY}
-            L ${endPoint.x - xDir * cornerRadius2},${cornerY}
-            Q ${endPoint.x},${cornerY} ${endPoint.x},${cornerY + yDir * cornerRadius2}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        }
       } else {
-        // Case: No edgeAt specified - use default based on orientation
-        if (startOrientation === 'horizontal') {
-          // Default horizontal routing: 25%/75% of horizontal distance
-          const corner1X = startPoint.x + deltaX * 0.25;
-          const corner2X = startPoint.x + deltaX * 0.75;
-
-          // Calculate safe radius for both corners
-          const horizontalDist1 = Math.abs(corner1X - startPoint.x);
-          const verticalDist = Math.abs(deltaY);
-          const horizontalDist2 = Math.abs(endPoint.x - corner2X);
-          const cornerRadius = getSafeRadius(horizontalDist1, verticalDist);
-          const cornerRadius2 = getSafeRadius(verticalDist, horizontalDist2);
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${corner1X - xDir * cornerRadius},${startPoint.y}
-            Q ${corner1X},${startPoint.y} ${corner1X},${startPoint.y + yDir * cornerRadius}
-            L ${corner2X},${endPoint.y - yDir * cornerRadius2}
-            Q ${corner2X},${endPoint.y} ${corner2X + xDir * cornerRadius2},${endPoint.y}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        } else {
-          // Default vertical routing: 25%/75% of vertical distance
-          const corner1Y = startPoint.y + deltaY * 0.25;
-          const corner2Y = startPoint.y + deltaY * 0.75;
-
-          // Calculate safe radius for both corners
-          const verticalDist1 = Math.abs(corner1Y - startPoint.y);
-          const horizontalDist = Math.abs(deltaX);
-          const verticalDist2 = Math.abs(endPoint.y - corner2Y);
-          const cornerRadius = getSafeRadius(verticalDist1, horizontalDist);
-          const cornerRadius2 = getSafeRadius(horizontalDist, verticalDist2);
-
-          pathData = `
-            M ${startPoint.x},${startPoint.y}
-            L ${startPoint.x},${corner1Y - yDir * cornerRadius}
-            Q ${startPoint.x},${corner1Y} ${startPoint.x + xDir * cornerRadius},${corner1Y}
-            L ${endPoint.x - xDir * cornerRadius2},${corner2Y}
-            Q ${endPoint.x},${corner2Y} ${endPoint.x},${corner2Y + yDir * cornerRadius2}
-            L ${endPoint.x},${endPoint.y}
-          `.trim();
-        }
+        // Default vertical routing: 25%/75% of vertical distance
+        const corner1Y = startPoint.y + deltaY * 0.25;
+        const corner2Y = startPoint.y + deltaY * 0.75;
+
+        // Calculate safe radius for both corners
+        const verticalDist1 = Math.abs(corner1Y - startPoint.y);
+        const horizontalDist = Math.abs(deltaX);
+        const verticalDist2 = Math.abs(endPoint.y - corner2Y);
+        const cornerRadius = getSafeRadius(verticalDist1, horizontalDist);
+        const cornerRadius2 = getSafeRadius(horizontalDist, verticalDist2);
+
+        pathData = `
+          M ${startPoint.x},${startPoint.y}
+          L ${startPoint.x},${corner1Y - yDir * cornerRadius}
+          Q ${startPoint.x},${corner1Y} ${startPoint.x + xDir * cornerRadius},${corner1Y}
+          L ${endPoint.x - xDir * cornerRadius2},${corner2Y}
+          Q ${endPoint.x},${corner2Y} ${endPoint.x},${corner2Y + yDir * cornerRadius2}
+          L ${endPoint.x},${endPoint.y}
+        `.trim();
       }
+    }
 
-      path.setAttribute('d', pathData);
-      path.setAttribute('stroke', color);
-      path.setAttribute('stroke-width', '3');
-      path.setAttribute('fill', 'none');
-      path.setAttribute('stroke-linecap', 'round');
 
-      // Apply line style (solid or dashed)
-      if (lineStyle === 'dashed') {
-        path.setAttribute('stroke-dasharray', '8,4');
+    return pathData;
+  }
+
+  /**
+   * Bring the retained connector nodes in line with the computed connector specs
+   * Each connector keeps its <g class="connector-item"> between redraws and only attributes that changed
+   * are written. Line endings, animations and labels are rebuilt when their settings change. Path lengths
+   * are read after all path data has been written, so a redraw causes at most one geometry update.
+   * @param {SVGSVGElement} svg - Scene overlay
+   * @param {Array<Object>} specs - Connector specs from captureCoordinatesAndDrawSvg, in drawing order
+   * @param {Map<string, Object>} neededMarkers - Arrow marker id → {type, color, opacity}
+   */
+  syncConnectorNodes(svg, specs, neededMarkers) {
+    const { defs, items, labels } = this.getConnectorOverlayGroups(svg);
+
+    // Arrow markers: the id encodes type, color and opacity, so existing markers never change
+    const existingMarkers = new Map(Array.from(defs.children).map(marker => [marker.id, marker]));
+    neededMarkers.forEach((marker, markerId) => {
+      if (!existingMarkers.has(markerId)) {
+        defs.appendChild(this.createArrowMarker(markerId, marker));
       }
+    });
+    existingMarkers.forEach((marker, markerId) => {
+      if (!neededMarkers.has(markerId)) marker.remove();
+    });
 
-      // Store original color as data attribute for later restoration
-      path.setAttribute('data-original-color', color);
+    // Drop the nodes of removed connectors
+    const ids = new Set(specs.map(spec => spec.id));
+    this.connectorNodes.forEach((entry, id) => {
+      if (ids.has(id)) return;
+      entry.group.remove();
+      if (entry.label) entry.label.remove();
+      this.connectorNodes.delete(id);
+    });
 
-      // Add data attributes and class for highlight
-      path.setAttribute('data-connector-from', fromId);
-      path.setAttribute('data-connector-to', toId);
+    // Writes: paths, hit areas and line endings
+    specs.forEach((spec, position) => {
+      let entry = this.connectorNodes.get(spec.id);
+      if (!entry) {
+        entry = this.createConnectorNodes(spec);
+        this.connectorNodes.set(spec.id, entry);
+      }
+      if (items.children[position] !== entry.group) {
+        items.insertBefore(entry.group, items.children[position] || null);
+      }
+      this.updateConnectorNodes(entry, spec);
+    });
 
-      // Support: 'groups' (new, string or array), 'keys' (legacy), or 'key' (single, legacy)
-      let keys = connector.groups || connector.keys || (connector.key ? [connector.key] : []);
-      // If groups is a string, split it into an array
-      if (typeof keys === 'string') {
-        keys = keys.split(',').map(k => k.trim());
+    // Writes: the texts of new or changed labels, so they are measured together with the paths
+    const option = (spec, name) => spec.connector[name] ?? this.connectorDefaults[name];
+    const hasLabel = (spec) => spec.connector.label !== undefined && spec.connector.label !== null && spec.connector.label !== '';
+    specs.forEach(spec => {
+      spec.labelKey = hasLabel(spec)
+        ? JSON.stringify([spec.connector.label, spec.connector.labelStyle, spec.color, spec.dimmed, spec.keys])
+        : null;
+      if (spec.labelKey && spec.labelKey !== this.connectorNodes.get(spec.id).labelKey) {
+        spec.labelText = this.createConnectorLabelText(spec.connector);
+        labels.appendChild(spec.labelText);
       }
-      if (keys.length > 0) {
-        path.setAttribute('data-connector-keys', keys.join(','));
+    });
+
+    // Reads: path lengths, label anchor points and label text widths
+    specs.forEach(spec => {
+      const needsLength = hasLabel(spec) ||
+        (spec.animationStyle && (parseFloat(option(spec, 'animationSpeed')) > 0 || parseFloat(option(spec, 'throughput')) > 0));
+      if (!needsLength) return;
+
+      const path = this.connectorNodes.get(spec.id).path;
+      try {
+        spec.length = path.getTotalLength();
+        if (hasLabel(spec)) {
+          spec.labelPoint = this.getConnectorLabelPoint(path, spec.connector, spec.length);
+        }
+      } catch (e) {
+        spec.length = 0;
       }
-      path.classList.add('connector-path');
+      if (spec.labelText) {
+        spec.labelWidth = this.measureConnectorLabelText(spec.labelText);
+      }
+    });
 
-      svg.appendChild(path);
+    // Writes: animations and labels (labels go into their own group above all connectors)
+    let labelPosition = 0;
+    specs.forEach(spec => {
+      const entry = this.connectorNodes.get(spec.id);
+      this.updateConnectorAnimation(entry, spec);
+
+      const labelKey = spec.labelKey;
+      if (labelKey !== entry.labelKey) {
+        if (entry.label) entry.label.remove();
+        // Without a measurable path the label is retried on the next redraw
+        entry.label = labelKey && spec.labelPoint
+          ? this.createConnectorLabel(spec.labelText, spec.labelPoint, spec.labelWidth, spec.connector, spec.color, spec.dimmed)
+          : null;
+        if (spec.labelText && !entry.label) spec.labelText.remove();
+        entry.labelKey = entry.label ? labelKey : null;
+        if (entry.label) {
+          if (spec.keys.length > 0) {
+            entry.label.setAttribute('data-connector-keys', spec.keys.join(','));
+          }
+          const text = entry.label.querySelector('text');
+          entry.labelOrigin = { x: parseFloat(text.getAttribute('x')), y: parseFloat(text.getAttribute('y')) };
+        }
+      }
+      if (!entry.label) return;
 
-      // Check if this path should be dimmed based on current highlight state
-      // Use the stored configuration from cachedPositions (already retrieved above)
-      const hasHighlights = this.currentHighlightKeys && this.currentHighlightKeys.length > 0;
-      let shouldDimThisPath = false;
+      // Move the label with the path instead of rebuilding it
+      if (spec.labelPoint) {
+        const dx = +(spec.labelPoint.x - entry.labelOrigin.x).toFixed(2);
+        const dy = +(spec.labelPoint.y - entry.labelOrigin.y).toFixed(2);
+        this.setConnectorNodeAttribute(entry.label, 'transform', dx || dy ? `translate(${dx}, ${dy})` : null);
+      }
+      if (labels.children[labelPosition] !== entry.label) {
+        labels.insertBefore(entry.label, labels.children[labelPosition] || null);
+      }
+      labelPosition++;
+    });
+  }
 
-      if (hasHighlights && cachedPositions && cachedPositions.groups && cachedPositions.groups.length > 0) {
-        // Check if ANY of the connector's groups match ANY of the REQUESTED highlight keys
-        // (not the groups of highlighted elements, which may include additional groups)
-        const hasMatchingHighlight = cachedPositions.groups.some(connectorKey =>
-          this.currentHighlightKeys.includes(connectorKey.trim())
-        );
+  /**
+   * Get (or create) the groups of the connector overlay: marker defs, connectors and labels
+   * @param {SVGSVGElement} svg - Scene overlay
+   * @returns {Object} - {defs, items, labels}
+   */
+  getConnectorOverlayGroups(svg) {
+    let defs = svg.querySelector(':scope > defs');
+    let items = svg.querySelector(':scope > .connector-items');
+    let labels = svg.querySelector(':scope > .connector-labels');
+
+    if (!defs) {
+      defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+      svg.insertBefore(defs, svg.firstChild);
+    }
+    if (!items) {
+      items = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      items.classList.add('connector-items');
+      svg.insertBefore(items, defs.nextSibling);
+    }
+    if (!labels) {
+      labels = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      labels.classList.add('connector-labels');
+      svg.insertBefore(labels, items.nextSibling);
+    }
+    return { defs, items, labels };
+  }
 
-        shouldDimThisPath = !hasMatchingHighlight;
+  /**
+   * Create an arrow marker; markerUnits="strokeWidth" scales it with the connector's stroke width
+   * @param {string} markerId - Marker id (see getArrowMarkerId)
+   * @param {Object} marker - {type: 'arrow'|'arrowSmall', color, opacity}
+   * @returns {SVGMarkerElement}
+   */
+  createArrowMarker(markerId, { type, color, opacity }) {
+    const small = type === 'arrowSmall';
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+    marker.setAttribute('id', markerId);
+    marker.setAttribute('markerWidth', small ? '3' : '13');
+    marker.setAttribute('markerHeight', small ? '5' : '10');
+    marker.setAttribute('refX', small ? '3' : '13');
+    marker.setAttribute('refY', small ? '2.5' : '5');
+    marker.setAttribute('orient', 'auto');
+    marker.setAttribute('markerUnits', 'strokeWidth');
+
+    // Small arrow is 30% smaller than the regular arrow
+    const arrowPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    arrowPath.setAttribute('d', small ? 'M0,0 L0,5 L3,2.5 z' : 'M0,0 L0,10 L13,5 z');
+    arrowPath.setAttribute('fill', color);
+    if (opacity !== 1) {
+      arrowPath.setAttribute('fill-opacity', String(opacity));
+    }
+    marker.appendChild(arrowPath);
+    return marker;
+  }
 
-        // If this path should be dimmed, add the dimmed class (for CSS styling)
-        if (shouldDimThisPath) {
-          path.classList.add('dimmed');
-        }
+  /**
+   * Create the retained nodes of a connector (filled in by updateConnectorNodes)
+   * @param {Object} spec - Connector spec
+   * @returns {Object} - Node entry {group, path, hit, endings, animation, label}
+   */
+  createConnectorNodes(spec) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.classList.add('connector-item');
+    group.setAttribute('data-connector-id', spec.id);
+
+    // Stable id for the mpath references of animated markers
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('id', `${this.containerId}-connector-path-${this.connectorNodeCounter++}`);
+    group.appendChild(path);
+
+    return {
+      group,
+      path,
+      hit: null,
+      endings: { key: null, nodes: [] },
+      animation: { key: null, nodes: [] },
+      label: null,
+      labelKey: null,
+      labelOrigin: null
+    };
+  }
+
+  /**
+   * Set an attribute only if its value changed (null removes it)
+   * @param {Element} element - Element to update
+   * @param {string} name - Attribute name
+   * @param {*} value - New value
+   */
+  setConnectorNodeAttribute(element, name, value) {
+    if (value === null || value === undefined) {
+      if (element.hasAttribute(name)) element.removeAttribute(name);
+      return;
+    }
+    if (element.getAttribute(name) !== String(value)) {
+      element.setAttribute(name, String(value));
+    }
+  }
+
+  /**
+   * Patch a connector's path, hit area and line endings to match its spec
+   * @param {Object} entry - Node entry from createConnectorNodes
+   * @param {Object} spec - Connector spec
+   */
+  updateConnectorNodes(entry, spec) {
+    const { path, group } = entry;
+    const { stroke, color, keys } = spec;
+    const set = (element, name, value) => this.setConnectorNodeAttribute(element, name, value);
+
+    set(path, 'd', spec.pathData);
+    set(path, 'stroke', color);
+    set(path, 'stroke-width', stroke.width);
+    set(path, 'fill', 'none');
+    set(path, 'stroke-linecap', stroke.linecap);
+    set(path, 'stroke-opacity', stroke.opacity !== 1 ? stroke.opacity : null);
+
+    // Apply line style (solid, dashed or a custom dashArray); marching dashes default to 8,4
+    set(path, 'stroke-dasharray', stroke.dashArray || (spec.animationStyle === 'dash' ? '8,4' : null));
+
+    // Store original color as data attribute for later restoration
+    set(path, 'data-original-color', color);
+
+    // Add data attributes and classes for highlight
+    set(path, 'data-connector-id', spec.id);
+    set(path, 'data-connector-from', spec.fromId);
+    set(path, 'data-connector-to', spec.toId);
+    set(path, 'data-connector-keys', keys.length > 0 ? keys.join(',') : null);
+    set(path, 'data-highlight-layers', spec.layerNames ? spec.layerNames.join(';') : null);
+
+    const classes = ['connector-path', ...stroke.className.split(/\s+/).filter(Boolean)];
+    if (spec.bundled) classes.push('connector-bundled');
+    if (spec.animationStyle === 'dash') classes.push('connector-flow');
+    if (this.hoveredConnectorId === spec.id) classes.push('connector-hovered');
+    if (spec.dimmed) classes.push('dimmed');
+    set(path, 'class', classes.join(' '));
+
+    const markerUrl = (lineType) => {
+      if (lineType === 'arrow' || lineType === 'arrow-circle') return `url(#${this.getArrowMarkerId('arrow', color, stroke)})`;
+      if (lineType === 'arrowSmall') return `url(#${this.getArrowMarkerId('arrowSmall', color, stroke)})`;
+      return null;
+    };
+    set(path, 'marker-start', markerUrl(spec.startLine));
+    set(path, 'marker-end', markerUrl(spec.endLine));
+
+    // Wider invisible stroke on top of the visible one for easier clicking and hovering
+    if (this.connectorHitWidth > 0) {
+      if (!entry.hit) {
+        entry.hit = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        entry.hit.setAttribute('stroke', 'transparent');
+        entry.hit.setAttribute('fill', 'none');
+        entry.hit.setAttribute('pointer-events', 'stroke');
+        group.insertBefore(entry.hit, path.nextSibling);
       }
+      set(entry.hit, 'd', spec.pathData);
+      set(entry.hit, 'stroke-width', Math.max(this.connectorHitWidth, stroke.width));
+      set(entry.hit, 'data-connector-id', spec.id);
+
+      // Connectors with nav/activate act as navigation targets
+      set(entry.hit, 'class', spec.connector.nav || spec.connector.activate ? 'connector-hit connector-nav' : 'connector-hit');
+    } else if (entry.hit) {
+      entry.hit.remove();
+      entry.hit = null;
+    }
+
+    // Circle line endings: rebuilt when their style changes, moved otherwise
+    const endingsKey = JSON.stringify([spec.startLine, spec.endLine, color, stroke.width, stroke.opacity, keys]);
+    if (endingsKey !== entry.endings.key) {
+      entry.endings.nodes.forEach(node => node.remove());
+      entry.endings = { key: endingsKey, nodes: [] };
+
+      const before = entry.animation.nodes.find(node => node.parentNode === group) || null;
+      [[spec.startLine, 'start'], [spec.endLine, 'end']].forEach(([lineType, end]) => {
+        if (lineType !== 'circle' && lineType !== 'arrow-circle') return;
+
+        const circle = this.createConnectorEndingCircle(end, color, stroke, keys);
+        group.insertBefore(circle, before);
+        entry.endings.nodes.push(circle);
+      });
+    }
+    entry.endings.nodes.forEach(circle => {
+      const point = circle.getAttribute('data-connector-end') === 'start' ? spec.startPoint : spec.endPoint;
+      set(circle, 'cx', point.x);
+      set(circle, 'cy', point.y);
+    });
+  }
 
-      // Use stored animation style from initial configuration
-      const shouldHaveAnimation = cachedPositions?.animationStyle === 'circle';
+  /**
+   * Create a circle line ending (sized by the stroke width; positioned by the caller via cx/cy)
+   * @param {string} end - 'start' or 'end'
+   * @param {string} color - Connector color
+   * @param {Object} stroke - Stroke settings from getConnectorStroke
+   * @param {Array<string>} keys - Connector groups
+   * @returns {SVGCircleElement}
+   */
+  createConnectorEndingCircle(end, color, stroke, keys) {
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('r', String(2 * stroke.width));
+    circle.setAttribute('fill', color);
+    if (stroke.opacity !== 1) {
+      circle.setAttribute('fill-opacity', String(stroke.opacity));
+    }
+    // Note: opacity controlled by CSS (.connector-marker default = 0.8)
+    circle.setAttribute('data-original-color', color);
+    circle.setAttribute('data-connector-end', end);
+    circle.classList.add('connector-marker');
+    if (keys.length > 0) {
+      circle.setAttribute('data-connector-keys', keys.join(','));
+    }
+    return circle;
+  }
 
-      // Helper function to create line endings (arrows, circles)
-      const createLineEnding = (lineType, point, isStart) => {
-        if (!lineType) return;
+  /**
+   * Rebuild a connector's animation when its settings change
+   * Markers follow path changes through their mpath reference, so a moving path keeps its animation
+   * (and its SMIL timeline). Speed- and throughput-based animations are rebuilt when the length changes by 5% or more.
+   * @param {Object} entry - Node entry from createConnectorNodes
+   * @param {Object} spec - Connector spec (spec.length is set when the animation depends on it)
+   */
+  updateConnectorAnimation(entry, spec) {
+    const option = (name) => spec.connector[name] ?? this.connectorDefaults[name];
+    const lengthDependent = parseFloat(option('animationSpeed')) > 0 || parseFloat(option('throughput')) > 0;
 
-        const marker = isStart ? 'start' : 'end';
+    let key = null;
+    if (spec.animationStyle) {
+      key = JSON.stringify([
+        spec.animationStyle, option('animationDuration'), option('animationSpeed'), option('animationDirection'),
+        option('markerCount'), option('throughput'), spec.color, spec.stroke.width, spec.stroke.opacity,
+        spec.stroke.dashArray, spec.keys
+      ]);
+    }
 
-        switch (lineType) {
-          case 'arrow':
-            path.setAttribute(`marker-${marker}`, `url(#arrowhead-${color.replace('#', '')})`);
-            break;
-          case 'arrowSmall':
-            // Use small arrow marker (30% smaller than regular arrow)
-            path.setAttribute(`marker-${marker}`, `url(#arrowhead-small-${color.replace('#', '')})`);
-            break;
-          case 'circle': {
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', point.x);
-            circle.setAttribute('cy', point.y);
-            circle.setAttribute('r', '6');
-            circle.setAttribute('fill', color);
-            // Note: opacity controlled by CSS (.connector-marker default = 0.8)
-            circle.setAttribute('data-original-color', color);
-            circle.classList.add('connector-marker');
-            if (keys.length > 0) {
-              circle.setAttribute('data-connector-keys', keys.join(','));
-            }
-            svg.appendChild(circle);
-            break;
-          }
-          case 'arrow-circle': {
-            // Add both arrow and circle
-            path.setAttribute(`marker-${marker}`, `url(#arrowhead-${color.replace('#', '')})`);
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', point.x);
-            circle.setAttribute('cy', point.y);
-            circle.setAttribute('r', '6');
-            circle.setAttribute('fill', color);
-            // Note: opacity controlled by CSS (.connector-marker default = 0.8)
-            circle.setAttribute('data-original-color', color);
-            circle.classList.add('connector-marker');
-            if (keys.length > 0) {
-              circle.setAttribute('data-connector-keys', keys.join(','));
-            }
-            svg.appendChild(circle);
-            break;
-          }
-        }
-      };
+    const lengthChanged = lengthDependent && entry.animation.length > 0 &&
+      Math.abs(spec.length - entry.animation.length) / entry.animation.length >= 0.05;
+    if (key === entry.animation.key && !lengthChanged) return;
+
+    entry.animation.nodes.forEach(node => node.remove());
+    entry.animation = { key, length: spec.length, nodes: [] };
+    if (key) {
+      entry.animation.nodes = this.createConnectorAnimation(entry.group, entry.path, spec.connector, spec.animationStyle,
+        spec.color, spec.keys, spec.index, spec.stroke, spec.length);
+    }
+  }
+
+  /**
+   * Animate a connector: markers travelling along the path ('circle', 'pulse') or marching dashes ('dash')
+   * Markers are spaced evenly with keyPoints, so restarting the animations keeps the spacing.
+   * @param {SVGElement} parent - Element the animated markers are appended to
+   * @param {SVGPathElement} path - Connector path (must already be in the DOM)
+   * @param {Object} connector - Connector definition (animationDuration, animationSpeed, animationDirection, markerCount, throughput)
+   * @param {string} animationStyle - 'circle', 'dash' or 'pulse'
+   * @param {string} color - Connector color
+   * @param {Array<string>} keys - Connector groups
+   * @param {number} index - Connector index (for element ids)
+   * @param {Object} stroke - Stroke settings from getConnectorStroke (markers scale with the width)
+   * @param {number} length - Path length, if already measured
+   * @returns {Array<SVGElement>} - The created animation nodes
+   */
+  createConnectorAnimation(parent, path, connector, animationStyle, color, keys, index, stroke, length) {
+    const option = (name) => connector[name] ?? this.connectorDefaults[name];
 
-      // Apply start and end line styles (only for non-dimmed connectors)
-      if (!shouldDimThisPath) {
-        createLineEnding(startLine, startPoint, true);
-        createLineEnding(endLine, endPoint, false);
+    if (length === undefined) {
+      try {
+        length = path.getTotalLength();
+      } catch (e) {
+        length = 0;
       }
+    }
 
-      // Add animated circle if:
-      // 1. The stored initial config says it should have animation
-      // 2. AND the path is not currently dimmed
-      const shouldAddAnimation = shouldHaveAnimation && !shouldDimThisPath;
+    // Speed (px/s) makes the duration proportional to the path length
+    const speed = parseFloat(option('animationSpeed'));
+    const duration = speed > 0 && length > 0
+      ? length / speed
+      : (parseFloat(option('animationDuration')) || 3);
 
-      if (shouldAddAnimation) {
+    const direction = option('animationDirection');
+
+    if (animationStyle === 'dash') {
+      // Marching dashes: shift the dash pattern by one pattern length per cycle
+      if (!path.getAttribute('stroke-dasharray')) {
+        path.setAttribute('stroke-dasharray', '8,4');
+      }
+      const patternLength = path.getAttribute('stroke-dasharray')
+        .split(/[\s,]+/).reduce((sum, value) => sum + (parseFloat(value) || 0), 0) || 12;
+      const cycle = length > 0 ? duration * patternLength / length : duration / 10;
+
+      const animate = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+      animate.setAttribute('attributeName', 'stroke-dashoffset');
+      if (direction === 'both') {
+        // Dashes swing back and forth: one pattern length forward, then back
+        animate.setAttribute('values', `0;${-patternLength};0`);
+        animate.setAttribute('dur', `${cycle * 2}s`);
+      } else {
+        animate.setAttribute('from', '0');
+        animate.setAttribute('to', String(direction === 'reverse' ? patternLength : -patternLength));
+        animate.setAttribute('dur', `${cycle}s`);
+      }
+      animate.setAttribute('repeatCount', 'indefinite');
+      path.appendChild(animate);
+      path.classList.add('connector-flow');
+      return [animate];
+    }
+
+    // Marker size follows the stroke width (radius 4 at the default width of 3)
+    const scale = stroke.width / 3;
+    const radius = (value) => +(value * scale).toFixed(2);
+
+    // Throughput (markers per 100px) shows relative load; otherwise a fixed marker count
+    const throughput = parseFloat(option('throughput'));
+    const markerCount = Math.min(50, Math.max(1, Math.round(
+      throughput > 0 && length > 0 ? throughput * length / 100 : (parseInt(option('markerCount'), 10) || 1)
+    )));
+
+    // Give the path a unique ID for the mpath references (retained paths already have a stable one)
+    if (!path.id) {
+      path.setAttribute('id', `connector-path-${index}-${Date.now()}`);
+    }
+    const pathId = path.id;
+    const nodes = [];
+
+    const directions = direction === 'both' ? ['forward', 'reverse'] : [direction === 'reverse' ? 'reverse' : 'forward'];
+
+    directions.forEach(travel => {
+      for (let i = 0; i < markerCount; i++) {
         const animatedCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        animatedCircle.setAttribute('r', '4');
+        animatedCircle.setAttribute('r', String(radius(4)));
         animatedCircle.setAttribute('fill', color);
+        if (stroke.opacity !== 1) {
+          animatedCircle.setAttribute('fill-opacity', String(stroke.opacity));
+        }
         // Note: opacity controlled by CSS (.connector-animated-marker default = 0.9)
         animatedCircle.setAttribute('data-original-color', color);
         animatedCircle.classList.add('connector-animated-marker');
 
-        // Create animateMotion element
+        // Create animateMotion element; marker i starts i/markerCount along the path and wraps around
+        const offset = +(i / markerCount).toFixed(4);
         const animateMotion = document.createElementNS('http://www.w3.org/2000/svg', 'animateMotion');
-        animateMotion.setAttribute('dur', '3s');
+        animateMotion.setAttribute('dur', `${duration}s`);
         animateMotion.setAttribute('repeatCount', 'indefinite');
-
-        // Start immediately - will be controlled by highlight system
-        // animateMotion.setAttribute('begin', 'indefinite');
+        animateMotion.setAttribute('calcMode', 'linear');
+        if (offset > 0) {
+          const wrap = +(1 - offset).toFixed(4);
+          animateMotion.setAttribute('keyTimes', `0;${wrap};${wrap};1`);
+          animateMotion.setAttribute('keyPoints', travel === 'reverse'
+            ? `${wrap};0;1;${wrap}`
+            : `${offset};1;0;${offset}`);
+        } else {
+          animateMotion.setAttribute('keyTimes', '0;1');
+          animateMotion.setAttribute('keyPoints', travel === 'reverse' ? '1;0' : '0;1');
+        }
 
         // Create mpath element to reference the path
         const mpath = document.createElementNS('http://www.w3.org/2000/svg', 'mpath');
-
-        // Give the path a unique ID for the mpath reference
-        const pathId = `connector-path-${index}-${Date.now()}`;
-        path.setAttribute('id', pathId);
         mpath.setAttributeNS('http://www.w3.org/1999/xlink', 'href', `#${pathId}`);
-
         animateMotion.appendChild(mpath);
         animatedCircle.appendChild(animateMotion);
 
-        // Store animation reference for later control
-        animatedCircle.setAttribute('data-animation-id', `animation-${index}`);
-        if (keys.length > 0) {
-          animatedCircle.setAttribute('data-connector-keys', keys.join(','));
-        }
+        // Pulses grow and fade while they travel
+        if (animationStyle === 'pulse') {
+          animatedCircle.classList.add('connector-pulse-marker');
+          [['r', `${radius(3)};${radius(7)};${radius(3)}`], ['opacity', '1;0.3;1']].forEach(([attributeName, values]) => {
+            const pulse = document.createElementNS('http://www.w3.org/2000/svg', 'animate');
+            pulse.setAttribute('attributeName', attributeName);
+            pulse.setAttribute('values', values);
+            pulse.setAttribute('dur', '1s');
+            pulse.setAttribute('repeatCount', 'indefinite');
+            animatedCircle.appendChild(pulse);
+          });
+        }
+
+        // Store animation reference for later control
+        animatedCircle.setAttribute('data-animation-id', `animation-${index}`);
+        if (keys.length > 0) {
+          animatedCircle.setAttribute('data-connector-keys', keys.join(','));
+        }
+
+        parent.appendChild(animatedCircle);
+        nodes.push(animatedCircle);
+      }
+    });
+    return nodes;
+  }
+
+  /**
+   * Enable or disable edge bundling at runtime
+   * @param {boolean|Object} bundling - true/false, or settings {enabled, by, minSize, fan}
+   */
+  setConnectorBundling(bundling) {
+    if (typeof bundling === 'object' && bundling !== null) {
+      Object.assign(this.connectorBundling, bundling);
+    } else {
+      this.connectorBundling.enabled = !!bundling;
+    }
+    this.captureCoordinatesAndDrawSvg();
+  }
+
+  /**
+   * Group connectors into bundles and build their path data
+   * Connectors are bundled when their endpoints share parent scenes (by: 'scene') or when they share
+   * their first group (by: 'group'); a connector's "bundle" property overrides the key, false opts out.
+   * Connectors matching the current highlight, a highlight layer or the hovered element are not bundled.
+   * @param {Array<Object>} connectors - Connector definitions
+   * @returns {Map<string, string>} - Connector id → path data
+   */
+  getBundledConnectorPaths(connectors) {
+    const { by, minSize } = this.connectorBundling;
+    const fan = Math.max(0, Math.min(0.5, this.connectorBundling.fan));
+    const hasHighlights = this.getEffectiveHighlightKeys().length > 0;
+
+    // Endpoints are clustered by their parent scene (or themselves at the top level)
+    const clusterIds = new Map();
+    const getClusterId = (element) => {
+      const cluster = element.parentElement?.closest('.scene') || element;
+      if (!clusterIds.has(cluster)) clusterIds.set(cluster, `cluster-${clusterIds.size}`);
+      return clusterIds.get(cluster);
+    };
+
+    const bundles = new Map(); // bundle key → [{id, start, end, reversed}]
+    connectors.forEach(connector => {
+      if (connector.bundle === false) return;
+
+      const cached = this.initialConnectorPositions?.get(connector.id);
+      if (!cached) return;
+
+      const { fromId, toId } = this.parseConnectorEndpoints(connector);
+      const groups = cached.groups || [];
+      const isHighlighted = (hasHighlights && this.connectorMatchesHighlight(groups)) ||
+        this.isHoverConnector(fromId, toId) || !!this.getConnectorLayerColor(groups);
+      if (isHighlighted) return;
+
+      const start = this.projectElevatedPoint(cached.startPoint, cached.startElevation);
+      const end = this.projectElevatedPoint(cached.endPoint, cached.endElevation);
+
+      let key;
+      let reversed = false;
+      if (connector.bundle !== undefined && connector.bundle !== true) {
+        key = `bundle:${connector.bundle}`;
+      } else if (by === 'group') {
+        if (groups.length === 0) return;
+        key = `group:${groups[0]}`;
+      } else {
+        const fromElement = document.getElementById(fromId);
+        const toElement = document.getElementById(toId);
+        if (!fromElement || !toElement) return;
+
+        // Connectors in both directions between two clusters share one bundle
+        const fromCluster = getClusterId(fromElement);
+        const toCluster = getClusterId(toElement);
+        reversed = fromCluster > toCluster;
+        key = reversed ? `scene:${toCluster}|${fromCluster}` : `scene:${fromCluster}|${toCluster}`;
+      }
+
+      if (!bundles.has(key)) bundles.set(key, []);
+      bundles.get(key).push({ id: connector.id, start, end, reversed });
+    });
+
+    const paths = new Map();
+    const round = (value) => Math.round(value * 100) / 100;
+
+    bundles.forEach((members, key) => {
+      if (members.length < Math.max(2, minSize)) return;
+
+      // Group bundles have no cluster order: orient every member like the first one
+      if (!key.startsWith('scene:')) {
+        const distance = (p1, p2) => Math.hypot(p1.x - p2.x, p1.y - p2.y);
+        const reference = members[0];
+        members.forEach(member => {
+          member.reversed = distance(member.start, reference.end) + distance(member.end, reference.start) <
+            distance(member.start, reference.start) + distance(member.end, reference.end);
+        });
+      }
+
+      // Hubs: centroids of each side's endpoints (in bundle direction)
+      const sideA = members.map(member => (member.reversed ? member.end : member.start));
+      const sideB = members.map(member => (member.reversed ? member.start : member.end));
+      const centroid = (points) => ({
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+      });
+      const hubA = centroid(sideA);
+      const hubB = centroid(sideB);
+
+      // Trunk between the hubs, leaving room for fanning out at both ends
+      const trunkA = { x: hubA.x + (hubB.x - hubA.x) * fan, y: hubA.y + (hubB.y - hubA.y) * fan };
+      const trunkB = { x: hubB.x + (hubA.x - hubB.x) * fan, y: hubB.y + (hubA.y - hubB.y) * fan };
+
+      members.forEach(member => {
+        const [fromHub, fromTrunk, toTrunk, toHub] = member.reversed
+          ? [hubB, trunkB, trunkA, hubA]
+          : [hubA, trunkA, trunkB, hubB];
+
+        paths.set(member.id, [
+          `M ${round(member.start.x)},${round(member.start.y)}`,
+          `Q ${round(fromHub.x)},${round(fromHub.y)} ${round(fromTrunk.x)},${round(fromTrunk.y)}`,
+          `L ${round(toTrunk.x)},${round(toTrunk.y)}`,
+          `Q ${round(toHub.x)},${round(toHub.y)} ${round(member.end.x)},${round(member.end.y)}`
+        ].join(' '));
+      });
+    });
+
+    return paths;
+  }
+
+  /**
+   * Resolve a connector labelPosition to a fraction of the path length
+   * @param {string|number} position - 'start', 'middle', 'end', or a 0-1 fraction (number or numeric string)
+   * @returns {number} - Fraction clamped to 0-1 (0.5 when the position is not recognized)
+   */
+  getLabelFraction(position) {
+    const namedPositions = { start: 0.1, middle: 0.5, end: 0.9 };
+    if (namedPositions[position] !== undefined) {
+      return namedPositions[position];
+    }
+    const fraction = typeof position === 'number' ? position : parseFloat(position);
+    return isNaN(fraction) ? 0.5 : Math.max(0, Math.min(1, fraction));
+  }
+
+  /**
+   * Get the anchor point of a connector label (reads layout)
+   * @param {SVGPathElement} path - Connector path (must already be in the DOM)
+   * @param {Object} connector - Connector definition (labelPosition)
+   * @param {number|null} length - Path length, if already measured
+   * @returns {Object|null} - {x, y}, or null if the path has no measurable length
+   */
+  getConnectorLabelPoint(path, connector, length = null) {
+    const fraction = this.getLabelFraction(connector.labelPosition ?? this.connectorDefaults.labelPosition);
+    try {
+      return path.getPointAtLength((length ?? path.getTotalLength()) * fraction);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Create the text of a connector label, to be measured before the label is built
+   * Add it to the overlay with the other new label texts, then measure them all in one read pass
+   * (measureConnectorLabelText) before building the labels (createConnectorLabel).
+   * @param {Object} connector - Connector definition (label, labelStyle)
+   * @returns {SVGTextElement} - Unpositioned label text
+   */
+  createConnectorLabelText(connector) {
+    const style = { ...this.connectorDefaults.labelStyle, ...connector.labelStyle };
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.textContent = String(connector.label);
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('font-size', style.fontSize || 11);
+    text.setAttribute('font-family', style.fontFamily || 'Arial, sans-serif');
+    text.setAttribute('font-weight', style.fontWeight || '600');
+    return text;
+  }
+
+  /**
+   * Measure the width of a label text (reads layout)
+   * @param {SVGTextElement} text - Text from createConnectorLabelText, already in the overlay
+   * @returns {number} - Text width; estimated when the text isn't rendered
+   */
+  measureConnectorLabelText(text) {
+    const fontSize = parseFloat(text.getAttribute('font-size'));
+    const estimate = text.textContent.length * fontSize * 0.6;
+    if (typeof text.getBBox !== 'function') return estimate;
+    try {
+      return text.getBBox().width || estimate;
+    } catch (e) {
+      return estimate;
+    }
+  }
+
+  /**
+   * Build a text label positioned along a connector path (writes only)
+   * The label lives in the scene overlay, so it follows the path as the camera rotates.
+   * @param {SVGTextElement} text - Text from createConnectorLabelText
+   * @param {Object} point - Anchor point from getConnectorLabelPoint
+   * @param {number} width - Text width from measureConnectorLabelText
+   * @param {Object} connector - Connector definition (labelStyle)
+   * @param {string} color - Connector color, used for the label border
+   * @param {boolean} isDimmed - Whether the connector is currently dimmed
+   * @returns {SVGGElement} - Label group
+   */
+  createConnectorLabel(text, point, width, connector, color, isDimmed) {
+    const style = { ...this.connectorDefaults.labelStyle, ...connector.labelStyle };
+    const fontSize = style.fontSize || 11;
+    const textColor = style.color || '#333';
+    const background = style.background || 'rgba(255, 255, 255, 0.9)';
+
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.classList.add('connector-label');
+    if (isDimmed) {
+      group.classList.add('dimmed');
+    }
+
+    text.setAttribute('x', point.x);
+    text.setAttribute('y', point.y);
+    text.setAttribute('fill', isDimmed ? this.modifyColorAlpha(textColor, this.dimmingAlpha.color) : textColor);
+
+    const paddingX = 5;
+    const paddingY = 3;
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', point.x - width / 2 - paddingX);
+    rect.setAttribute('y', point.y - fontSize / 2 - paddingY);
+    rect.setAttribute('width', width + paddingX * 2);
+    rect.setAttribute('height', fontSize + paddingY * 2);
+    rect.setAttribute('rx', 3);
+    rect.setAttribute('fill', isDimmed ? this.modifyColorAlpha(background, this.dimmingAlpha.backgroundColor) : background);
+    rect.setAttribute('stroke', isDimmed ? this.modifyColorAlpha(color, this.dimmingAlpha.svg) : color);
+    rect.setAttribute('stroke-width', '1');
+
+    group.appendChild(rect);
+    group.appendChild(text);
+    return group;
+  }
+
+  /**
+   * Turn a color into a string that is safe to use inside a marker id
+   * @param {string} color - Color in any CSS format
+   * @returns {string} - Color with all non-alphanumeric characters removed
+   */
+  getMarkerColorId(color) {
+    return String(color).replace(/[^a-zA-Z0-9]/g, '');
+  }
+
+  /**
+   * Get the id of an arrow marker
+   * Connectors with the default opacity keep the plain color-based ids (e.g. arrowhead-4CAF50).
+   * @param {string} type - 'arrow' or 'arrowSmall'
+   * @param {string} color - Marker color
+   * @param {Object} stroke - Stroke settings from getConnectorStroke
+   * @returns {string} - Marker element id
+   */
+  getArrowMarkerId(type, color, stroke) {
+    const base = type === 'arrowSmall' ? 'arrowhead-small' : 'arrowhead';
+    let id = `${base}-${this.getMarkerColorId(color)}`;
+
+    // The width needs no separate marker (markerUnits="strokeWidth"), the opacity does
+    if (stroke.opacity !== 1) {
+      id += `-o${String(stroke.opacity).replace('.', '_')}`;
+    }
+    return id;
+  }
+
+  /**
+   * Get a connector's stroke settings, falling back to connectorDefaults
+   * lineStyle: 'dashed' maps to a dash pattern of 8,4 unless a dashArray is set.
+   * @param {Object} connector - Connector definition
+   * @returns {Object} - {width, opacity, dashArray, linecap, className}
+   */
+  getConnectorStroke(connector) {
+    const option = (name) => connector[name] ?? this.connectorDefaults[name];
+
+    const width = parseFloat(option('width'));
+    const opacity = parseFloat(option('opacity'));
+
+    let dashArray = option('dashArray');
+    if (Array.isArray(dashArray)) {
+      dashArray = dashArray.join(',');
+    }
+    if (!dashArray && option('lineStyle') === 'dashed') {
+      dashArray = '8,4';
+    }
+
+    return {
+      width: width > 0 ? width : 3,
+      opacity: isNaN(opacity) ? 1 : Math.max(0, Math.min(1, opacity)),
+      dashArray: dashArray || null,
+      linecap: option('linecap') || 'round',
+      className: option('className') || ''
+    };
+  }
+
+  /**
+   * Get a connector's group keys
+   * Supports 'groups' (string or array), 'keys' (legacy) and 'key' (single, legacy)
+   * @param {Object} connector - Connector definition
+   * @returns {Array<string>} - Group keys
+   */
+  getConnectorGroups(connector) {
+    let keys = connector.groups || connector.keys || (connector.key ? [connector.key] : []);
+    if (typeof keys === 'string') {
+      keys = keys.split(',').map(k => k.trim());
+    }
+    return keys.filter(Boolean);
+  }
+
+  /**
+   * Get the highlight layer color for a connector, blending overlapping layers
+   * @param {Array<string>} groups - Connector group keys
+   * @returns {string|null} - Color in rgb() format, or null when no layer matches
+   */
+  getConnectorLayerColor(groups) {
+    if (this.highlightLayers.size === 0) return null;
+    const layers = this.getMatchingHighlightLayers(groups);
+    if (layers.length === 0) return null;
+    const blended = this.blendHighlightLayerColors(layers);
+    return blended ? `rgb(${blended.r}, ${blended.g}, ${blended.b})` : layers[0].color;
+  }
+
+  /**
+   * Build a cubic bezier path between two connection points
+   * Each control point extends from its anchor in the anchor's direction (left/right/top/bottom),
+   * or towards the other end for center/corner anchors, so the curve leaves and enters
+   * perpendicular to the element edge.
+   * @param {Object} startPoint - Start coordinates {x, y}
+   * @param {Object} endPoint - End coordinates {x, y}
+   * @param {string} fromPoint - Start anchor position name
+   * @param {string} toPoint - End anchor position name
+   * @param {string} startOrientation - 'horizontal' or 'vertical' (see getPointOrientation)
+   * @param {string} endOrientation - 'horizontal' or 'vertical'
+   * @returns {string} - SVG path data
+   */
+  getBezierPathData(startPoint, endPoint, fromPoint, toPoint, startOrientation, endOrientation) {
+    const getControlPoint = (point, otherPoint, position, orientation) => {
+      const axis = orientation === 'horizontal' ? 'x' : 'y';
+      const delta = otherPoint[axis] - point[axis];
+
+      let sign;
+      if (position === 'left' || position === 'top') {
+        sign = -1;
+      } else if (position === 'right' || position === 'bottom') {
+        sign = 1;
+      } else {
+        sign = Math.sign(delta) || 1;
+      }
+
+      // Pull the control point out by half the distance along the axis (at least 30px)
+      const distance = Math.max(30, Math.abs(delta) / 2);
+      return axis === 'x'
+        ? { x: point.x + sign * distance, y: point.y }
+        : { x: point.x, y: point.y + sign * distance };
+    };
+
+    const c1 = getControlPoint(startPoint, endPoint, fromPoint, startOrientation);
+    const c2 = getControlPoint(endPoint, startPoint, toPoint, endOrientation);
+
+    return `M ${startPoint.x},${startPoint.y} C ${c1.x},${c1.y} ${c2.x},${c2.y} ${endPoint.x},${endPoint.y}`;
+  }
+
+  /**
+   * Capture the flat 2D rectangles of all scenes and cuboids as routing obstacles
+   * Must run in flat mode (with captureInitialConnectorPositions), like the connector anchors.
+   * @param {HTMLElement} perspective - The perspective element
+   * @param {DOMRect} perspectiveRect - The perspective's bounding rect
+   * @returns {Array<Object>} - [{element, x1, y1, x2, y2}]
+   */
+  captureRoutingObstacles(perspective, perspectiveRect) {
+    return Array.from(perspective.querySelectorAll('.scene, .cuboid')).map(element => {
+      const { tl, br } = this.getTransformedCorners(element, perspectiveRect);
+      return { element, x1: tl.x, y1: tl.y, x2: br.x, y2: br.y };
+    }).filter(obstacle => obstacle.x2 > obstacle.x1 && obstacle.y2 > obstacle.y1);
+  }
+
+  /**
+   * Get the automatic route for a connector, computing it if the time budget allows
+   * Routes are cached per connector and reused until its anchor points change.
+   * @param {string} connectorKey - Connector cache key
+   * @param {string} fromId - Start element ID
+   * @param {string} toId - End element ID
+   * @param {Object} startPoint - Start coordinates {x, y}
+   * @param {Object} endPoint - End coordinates {x, y}
+   * @param {string} fromPoint - Start anchor position name
+   * @param {string} toPoint - End anchor position name
+   * @param {number} deadline - performance.now() timestamp by which routing must stop
+   * @returns {Array<Object>|null} - Route points, or null (not routed yet / no route found)
+   */
+  getAutoRoute(connectorKey, fromId, toId, startPoint, endPoint, fromPoint, toPoint, deadline) {
+    const samePoint = (a, b) => Math.abs(a.x - b.x) < 0.5 && Math.abs(a.y - b.y) < 0.5;
+    const cached = this.connectorRouteCache.get(connectorKey);
+    if (cached && samePoint(cached.startPoint, startPoint) && samePoint(cached.endPoint, endPoint)) {
+      return cached.points;
+    }
+
+    if (performance.now() >= deadline) {
+      this.connectorRoutesPending = true;
+      return null;
+    }
+
+    // Every scene except the endpoints, their ancestors and their descendants is an obstacle
+    const fromElement = document.getElementById(fromId);
+    const toElement = document.getElementById(toId);
+    const isRelated = (element, endpoint) => endpoint && (element.contains(endpoint) || endpoint.contains(element));
+    const obstacles = this.routingObstacles.filter(obstacle =>
+      !isRelated(obstacle.element, fromElement) && !isRelated(obstacle.element, toElement));
+
+    const isFirstRoute = this.connectorRoutesThisFrame === 0;
+    this.connectorRoutesThisFrame++;
+
+    const points = this.findOrthogonalRoute(startPoint, endPoint, fromPoint, toPoint, obstacles, deadline);
+
+    if (points === undefined) {
+      // Out of time: retry next frame, unless even a whole frame's budget wasn't enough
+      if (!isFirstRoute) {
+        this.connectorRoutesPending = true;
+        return null;
+      }
+      console.warn(`⚠️ Connector ${fromId} -> ${toId}: automatic routing exceeded the ${this.connectorRouting.timeBudget}ms budget, using default routing`);
+    }
+
+    this.connectorRouteCache.set(connectorKey, {
+      startPoint: { ...startPoint },
+      endPoint: { ...endPoint },
+      points: points || null
+    });
+    return points || null;
+  }
+
+  /**
+   * Find an orthogonal route between two points around rectangular obstacles
+   * Grid-based A* that penalizes turns; the route leaves and enters along each anchor's direction.
+   * @param {Object} startPoint - Start coordinates {x, y}
+   * @param {Object} endPoint - End coordinates {x, y}
+   * @param {string} fromPoint - Start anchor position name
+   * @param {string} toPoint - End anchor position name
+   * @param {Array<Object>} obstacles - [{x1, y1, x2, y2}] rectangles to avoid
+   * @param {number} deadline - performance.now() timestamp by which the search must stop
+   * @returns {Array<Object>|null|undefined} - Route points, null if no route exists, undefined on timeout
+   */
+  findOrthogonalRoute(startPoint, endPoint, fromPoint, toPoint, obstacles, deadline) {
+    const { padding } = this.connectorRouting;
+    let cellSize = this.connectorRouting.gridSize;
+    const maxCells = 40000;
+    const turnPenalty = 3;
+
+    // Short stubs so the route leaves/enters perpendicular to the element edge
+    const getAnchorDirection = (position) => {
+      switch (position) {
+        case 'left': return { x: -1, y: 0 };
+        case 'right': return { x: 1, y: 0 };
+        case 'top': return { x: 0, y: -1 };
+        case 'bottom': return { x: 0, y: 1 };
+        default: return null;
+      }
+    };
+    const startDirection = getAnchorDirection(fromPoint);
+    const endDirection = getAnchorDirection(toPoint);
+    const stubLength = padding + cellSize;
+    const startStub = startDirection
+      ? { x: startPoint.x + startDirection.x * stubLength, y: startPoint.y + startDirection.y * stubLength }
+      : startPoint;
+    const endStub = endDirection
+      ? { x: endPoint.x + endDirection.x * stubLength, y: endPoint.y + endDirection.y * stubLength }
+      : endPoint;
+
+    // Grid bounds: everything involved plus room to go around the outermost obstacles
+    const margin = padding + cellSize * 2;
+    let minX = Math.min(startStub.x, endStub.x);
+    let minY = Math.min(startStub.y, endStub.y);
+    let maxX = Math.max(startStub.x, endStub.x);
+    let maxY = Math.max(startStub.y, endStub.y);
+    obstacles.forEach(obstacle => {
+      minX = Math.min(minX, obstacle.x1);
+      minY = Math.min(minY, obstacle.y1);
+      maxX = Math.max(maxX, obstacle.x2);
+      maxY = Math.max(maxY, obstacle.y2);
+    });
+    minX -= margin;
+    minY -= margin;
+    maxX += margin;
+    maxY += margin;
+
+    // Coarsen the grid for very large diagrams
+    let cols = Math.ceil((maxX - minX) / cellSize) + 1;
+    let rows = Math.ceil((maxY - minY) / cellSize) + 1;
+    if (cols * rows > maxCells) {
+      cellSize *= Math.sqrt((cols * rows) / maxCells);
+      cols = Math.ceil((maxX - minX) / cellSize) + 1;
+      rows = Math.ceil((maxY - minY) / cellSize) + 1;
+    }
+
+    const blocked = new Uint8Array(cols * rows);
+    obstacles.forEach(obstacle => {
+      const c1 = Math.max(0, Math.floor((obstacle.x1 - padding - minX) / cellSize));
+      const c2 = Math.min(cols - 1, Math.ceil((obstacle.x2 + padding - minX) / cellSize));
+      const r1 = Math.max(0, Math.floor((obstacle.y1 - padding - minY) / cellSize));
+      const r2 = Math.min(rows - 1, Math.ceil((obstacle.y2 + padding - minY) / cellSize));
+      for (let r = r1; r <= r2; r++) {
+        blocked.fill(1, r * cols + c1, r * cols + c2 + 1);
+      }
+    });
+
+    const toCell = (point) => {
+      const c = Math.min(cols - 1, Math.max(0, Math.round((point.x - minX) / cellSize)));
+      const r = Math.min(rows - 1, Math.max(0, Math.round((point.y - minY) / cellSize)));
+      return r * cols + c;
+    };
+    const startCell = toCell(startStub);
+    const endCell = toCell(endStub);
+    blocked[startCell] = 0;
+    blocked[endCell] = 0;
+
+    // A* over (cell, direction) states so turns can be penalized
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const directionOf = (vector) => vector
+      ? directions.findIndex(([dx, dy]) => dx === vector.x && dy === vector.y)
+      : 4;
+    const endCol = endCell % cols;
+    const endRow = Math.floor(endCell / cols);
+    const heuristic = (cell) => Math.abs(cell % cols - endCol) + Math.abs(Math.floor(cell / cols) - endRow);
+
+    const gScore = new Float64Array(cols * rows * 5).fill(Infinity);
+    const cameFrom = new Int32Array(cols * rows * 5).fill(-1);
+    const heap = []; // binary min-heap of [fScore, state]
+
+    const push = (item) => {
+      heap.push(item);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    };
+    const pop = () => {
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+          if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    };
+
+    const startState = startCell * 5 + directionOf(startDirection);
+    gScore[startState] = 0;
+    push([heuristic(startCell), startState]);
+
+    let goalState = -1;
+    let iterations = 0;
+
+    while (heap.length > 0) {
+      if (++iterations % 256 === 0 && performance.now() >= deadline) {
+        return undefined;
+      }
+
+      const [fScore, state] = pop();
+      const cell = Math.floor(state / 5);
+      const direction = state % 5;
+
+      // Skip stale heap entries for states that were reached more cheaply since
+      if (fScore - heuristic(cell) > gScore[state]) continue;
+
+      if (cell === endCell) {
+        goalState = state;
+        break;
+      }
+
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+
+      directions.forEach(([dx, dy], nextDirection) => {
+        const nextCol = col + dx;
+        const nextRow = row + dy;
+        if (nextCol < 0 || nextRow < 0 || nextCol >= cols || nextRow >= rows) return;
+
+        const nextCell = nextRow * cols + nextCol;
+        if (blocked[nextCell]) return;
+
+        const cost = gScore[state] + 1 + (direction !== 4 && direction !== nextDirection ? turnPenalty : 0);
+        const nextState = nextCell * 5 + nextDirection;
+        if (cost < gScore[nextState]) {
+          gScore[nextState] = cost;
+          cameFrom[nextState] = state;
+          push([cost + heuristic(nextCell), nextState]);
+        }
+      });
+    }
+
+    if (goalState === -1) return null;
+
+    // Walk back and keep only the cells where the direction changes
+    const cells = [];
+    for (let state = goalState; state !== -1; state = cameFrom[state]) {
+      cells.push(Math.floor(state / 5));
+    }
+    cells.reverse();
+
+    const corners = cells.filter((cell, i) => {
+      if (i === 0 || i === cells.length - 1) return true;
+      return (cell - cells[i - 1]) !== (cells[i + 1] - cell);
+    }).map(cell => ({
+      x: minX + (cell % cols) * cellSize,
+      y: minY + Math.floor(cell / cols) * cellSize
+    }));
+
+    // Snap the grid route onto the exact stub coordinates
+    const snap = (from, toIndex, anchor) => {
+      const neighbour = corners[toIndex];
+      if (!neighbour) return;
+      if (Math.abs(neighbour.y - from.y) < 0.5) neighbour.y = anchor.y;
+      else if (Math.abs(neighbour.x - from.x) < 0.5) neighbour.x = anchor.x;
+    };
+    if (corners.length > 2) {
+      snap(corners[0], 1, startStub);
+      snap(corners[corners.length - 1], corners.length - 2, endStub);
+    }
+    corners[0] = { ...startStub };
+    corners[corners.length - 1] = { ...endStub };
+
+    const points = [startPoint, ...corners, endPoint];
+    return this.orthogonalizePolyline(points);
+  }
 
-        svg.appendChild(animatedCircle);
+  /**
+   * Turn a polyline into axis-aligned segments and drop duplicate/collinear points
+   * Diagonal steps get an elbow that continues the previous segment's axis.
+   * @param {Array<Object>} points - Polyline points {x, y}
+   * @returns {Array<Object>} - Orthogonal polyline
+   */
+  orthogonalizePolyline(points) {
+    const near = (a, b) => Math.abs(a - b) < 0.5;
+    const result = [points[0]];
+
+    points.slice(1).forEach(point => {
+      const previous = result[result.length - 1];
+      if (!near(previous.x, point.x) && !near(previous.y, point.y)) {
+        const beforePrevious = result[result.length - 2];
+        const continueHorizontal = beforePrevious
+          ? near(beforePrevious.y, previous.y)
+          : Math.abs(point.x - previous.x) >= Math.abs(point.y - previous.y);
+        result.push(continueHorizontal ? { x: point.x, y: previous.y } : { x: previous.x, y: point.y });
       }
+      result.push(point);
+    });
 
+    const unique = result.filter((point, i) =>
+      i === 0 || !(near(result[i - 1].x, point.x) && near(result[i - 1].y, point.y)));
+
+    return unique.filter((point, i) => {
+      if (i === 0 || i === unique.length - 1) return true;
+      const previous = unique[i - 1];
+      const next = unique[i + 1];
+      return !((near(previous.x, point.x) && near(point.x, next.x)) ||
+        (near(previous.y, point.y) && near(point.y, next.y)));
     });
   }
 
+  /**
+   * Build path data for a polyline with rounded corners
+   * Each corner radius is clamped to half of the adjacent segments.
+   * @param {Array<Object>} points - Polyline points {x, y}
+   * @param {number} cornerRadius - Preferred corner radius in px
+   * @returns {string} - SVG path data
+   */
+  getRoundedPolylinePathData(points, cornerRadius) {
+    let pathData = `M ${points[0].x},${points[0].y}`;
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const previous = points[i - 1];
+      const corner = points[i];
+      const next = points[i + 1];
+      const lengthIn = Math.hypot(corner.x - previous.x, corner.y - previous.y);
+      const lengthOut = Math.hypot(next.x - corner.x, next.y - corner.y);
+      const radius = Math.min(cornerRadius, lengthIn / 2, lengthOut / 2);
+
+      const before = {
+        x: corner.x - (corner.x - previous.x) / lengthIn * radius,
+        y: corner.y - (corner.y - previous.y) / lengthIn * radius
+      };
+      const after = {
+        x: corner.x + (next.x - corner.x) / lengthOut * radius,
+        y: corner.y + (next.y - corner.y) / lengthOut * radius
+      };
+      pathData += ` L ${before.x},${before.y} Q ${corner.x},${corner.y} ${after.x},${after.y}`;
+    }
+
+    const last = points[points.length - 1];
+    return `${pathData} L ${last.x},${last.y}`;
+  }
+
   // Helper to determine routing orientation based on connection point
   getPointOrientation(point, oppositePoint, thisPoint, oppositeCoord) {
     // left/right → horizontal first
@@ -4603,29 +7630,324 @@ class Isometric3D {
 
   // Highlight elements by key(s)
   highlightByKey(keys) {
-    // Ensure keys is an array
-    const keyArray = Array.isArray(keys) ? keys : [keys];
+    // Ensure keys is an array of unique, trimmed, non-empty keys
+    const keyArray = this.normalizeHighlightKeys(keys);
+
+    const previousKeys = this.getHighlightKeys();
+
+    // Store the requested keys for connector matching (null when the set becomes empty)
+    this.currentHighlightKeys = keyArray.length > 0 ? keyArray : null;
+
+    this.refreshHighlights();
+
+    this.emitHighlightChange(previousKeys);
+  }
 
-    // Store the requested keys for connector matching
-    this.currentHighlightKeys = keyArray;
+  /**
+   * Re-apply highlighting and dimming for the primary highlight set and all highlight layers
+   * Elements matching any of them stay lit; everything else is dimmed.
+   */
+  refreshHighlights() {
+    const effectiveKeys = this.getEffectiveHighlightKeys();
 
-    // First, remove ALL highlighted and dimmed classes from everything
+    // First, remove ALL highlighted, dimmed and layer classes from everything
     const allHighlighted = this.container.querySelectorAll('.highlighted');
     allHighlighted.forEach(el => el.classList.remove('highlighted'));
 
     const allDimmed = this.container.querySelectorAll('.dimmed');
     allDimmed.forEach(el => el.classList.remove('dimmed'));
 
+    this.removeHighlightLayerTints();
+
     const perspective = this.container.querySelector('.isometric-perspective');
-    if (!perspective) return;
 
-    // Process all direct children of the perspective recursively
-    Array.from(perspective.children).forEach(child => {
-      this.processElementRecursive(child, keyArray, undefined);
-    });
+    if (effectiveKeys.length === 0 && !this.hoverHighlightState) {
+      // Nothing highlighted: restore original colors for all dimmed elements
+      const allAlphaDimmed = this.container.querySelectorAll('[data-dimmed="true"]');
+      // (stored original styles are dropped once each restore transition finishes)
+      allAlphaDimmed.forEach(el => this.restoreElementColors(el));
+    } else if (perspective) {
+      // Process all direct children of the perspective recursively
+      // (the connector overlay dims its own retained nodes, see captureCoordinatesAndDrawSvg)
+      Array.from(perspective.children)
+        .filter(child => !child.classList.contains('scene-overlay'))
+        .forEach(child => {
+          this.processElementRecursive(child, effectiveKeys, undefined);
+        });
+
+      this.applyHighlightLayerTints();
+    }
+
+    // e.g. back from a hover highlight: the activated source scene is lit again
+    this.highlightActiveSourceScene();
 
     // Redraw SVG to properly show/hide animations based on highlight state
-    this.captureCoordinatesAndDrawSvg();
+    if (perspective) {
+      this.captureCoordinatesAndDrawSvg();
+    }
+  }
+
+  /**
+   * Get all keys that keep elements lit: the primary highlight set plus every layer's keys
+   * (or only the hovered element's groups while a hover highlight is shown)
+   * @returns {Array<string>} - Combined keys/expressions
+   */
+  getEffectiveHighlightKeys() {
+    // A hover highlight temporarily takes over; the underlying state is kept untouched
+    if (this.hoverHighlightState) {
+      return [...this.hoverHighlightState.keys];
+    }
+
+    const keys = this.getHighlightKeys();
+    this.highlightLayers.forEach(layer => {
+      layer.keys.forEach(key => {
+        if (!keys.includes(key)) keys.push(key);
+      });
+    });
+    return keys;
+  }
+
+  /**
+   * Enable or disable hover highlighting for this instance
+   * @param {boolean} enabled - Whether hovering an element highlights its related groups and connectors
+   */
+  setHoverHighlightEnabled(enabled) {
+    this.hoverHighlightEnabled = !!enabled;
+    if (!this.hoverHighlightEnabled) {
+      clearTimeout(this.hoverHighlightTimer);
+      this.hoverHighlightTarget = null;
+      this.setHoverHighlight(null);
+    }
+  }
+
+  /**
+   * Handle mouseover/mouseout on the perspective for hover highlighting
+   * Moving between two related targets switches directly, without restoring in between.
+   * @param {MouseEvent} e - mouseover or mouseout event
+   */
+  onHoverHighlight(e) {
+    if (!this.hoverHighlightEnabled || this.isDragging) return;
+
+    const node = e.type === 'mouseout' ? e.relatedTarget : e.target;
+    const target = this.getHoverHighlightTarget(node);
+    if (target === this.hoverHighlightTarget) return;
+
+    this.hoverHighlightTarget = target;
+    clearTimeout(this.hoverHighlightTimer);
+
+    if (!target) {
+      // Pointer left all hover targets: restore the previous highlight state right away
+      this.setHoverHighlight(null);
+      return;
+    }
+
+    this.hoverHighlightTimer = setTimeout(() => {
+      if (!this.isDragging) {
+        this.setHoverHighlight(target);
+      }
+    }, this.hoverHighlightDelay);
+  }
+
+  /**
+   * Find the element a hover highlight should be based on
+   * Walks up from the hovered node to the nearest element with data-groups or connectors.
+   * @param {Node} node - Hovered node
+   * @returns {HTMLElement|null} - Hover target, or null when outside any target
+   */
+  getHoverHighlightTarget(node) {
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective || !(node instanceof Element) || !perspective.contains(node)) return null;
+    if (node.closest('.scene-overlay')) return null;
+
+    for (let el = node; el && el !== perspective; el = el.parentElement) {
+      if (el.hasAttribute('data-groups') || this.getConnectorPathsFor(el.id).length > 0) {
+        return el;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the rendered connector paths that start or end at an element
+   * @param {string} elementId - Element ID
+   * @returns {Array<SVGPathElement>} - Connector paths touching the element
+   */
+  getConnectorPathsFor(elementId) {
+    if (!elementId) return [];
+    const id = CSS.escape(elementId);
+    return Array.from(this.container.querySelectorAll(
+      `.scene-overlay path[data-connector-from="${id}"], .scene-overlay path[data-connector-to="${id}"]`
+    ));
+  }
+
+  /**
+   * Show (or remove) the transient hover highlight for an element
+   * Highlights everything sharing the element's groups plus every connector touching it.
+   * Passing null restores the nav/API-driven highlight state.
+   * @param {HTMLElement|null} element - Hovered element, or null to clear
+   */
+  setHoverHighlight(element) {
+    const current = this.hoverHighlightState ? this.hoverHighlightState.element : null;
+    if (element === current) return;
+
+    this.hoverHighlightState = element
+      ? { element, keys: this.getElementGroups(element).map(group => this.getLiteralGroupKey(group)) }
+      : null;
+    this.refreshHighlights();
+  }
+
+  /**
+   * Check whether a connector touches the element of the current hover highlight
+   * @param {string} fromId - Connector start element ID
+   * @param {string} toId - Connector end element ID
+   * @returns {boolean} - True while hovering one of the connector's endpoints
+   */
+  isHoverConnector(fromId, toId) {
+    if (!this.hoverHighlightState) return false;
+    const hoveredId = this.hoverHighlightState.element.id;
+    return !!hoveredId && (hoveredId === fromId || hoveredId === toId);
+  }
+
+  /**
+   * Normalize highlight keys into an array of unique, trimmed, non-empty strings
+   * Each entry may be a plain group name or a group expression (see parseGroupExpression).
+   * Top-level commas separate entries; commas inside parentheses or quotes stay part of their expression.
+   * @param {string|Array<string>} keys - Single key, comma-separated string or array of keys
+   * @returns {Array<string>} - Normalized key array
+   */
+  normalizeHighlightKeys(keys) {
+    if (keys === null || keys === undefined) return [];
+    const rawKeys = Array.isArray(keys) ? keys : [keys];
+    const normalized = [];
+    rawKeys.forEach(rawKey => {
+      this.splitTopLevelCommas(String(rawKey)).forEach(key => {
+        const trimmed = key.trim().replace(/\s+/g, ' ');
+        if (trimmed && !normalized.includes(trimmed)) {
+          normalized.push(trimmed);
+        }
+      });
+    });
+    return normalized;
+  }
+
+  /**
+   * Split a string on commas that are not nested inside parentheses or quotes
+   * @param {string} value - String to split
+   * @returns {Array<string>} - Parts (untrimmed)
+   */
+  splitTopLevelCommas(value) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let quoted = false;
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (quoted) {
+        if (char === '\\') i++;
+        else if (char === '"') quoted = false;
+      } else if (char === '"') quoted = true;
+      else if (char === '(') depth++;
+      else if (char === ')') depth = Math.max(0, depth - 1);
+      else if (char === ',' && depth === 0) {
+        parts.push(value.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(value.slice(start));
+    return parts;
+  }
+
+  /**
+   * Add key(s) to the current highlight set (additive highlighting)
+   * @param {string|Array<string>} keys - Key(s) to add
+   */
+  addHighlight(keys) {
+    const keysToAdd = this.normalizeHighlightKeys(keys);
+    const current = this.getHighlightKeys();
+    const merged = current.concat(keysToAdd.filter(key => !current.includes(key)));
+
+    if (merged.length === current.length) return; // Nothing new to highlight
+    this.highlightByKey(merged);
+  }
+
+  /**
+   * Remove key(s) from the current highlight set
+   * Removing the last key restores all elements unless highlight layers are active
+   * @param {string|Array<string>} keys - Key(s) to remove
+   */
+  removeHighlight(keys) {
+    const keysToRemove = this.normalizeHighlightKeys(keys);
+    const current = this.getHighlightKeys();
+    const remaining = current.filter(key => !keysToRemove.includes(key));
+
+    if (remaining.length === current.length) return; // None of the keys were active
+    this.highlightByKey(remaining);
+  }
+
+  /**
+   * Get a copy of the currently active highlight keys
+   * @returns {Array<string>} - Active highlight keys (empty when nothing is highlighted)
+   */
+  getHighlightKeys() {
+    return this.currentHighlightKeys ? [...this.currentHighlightKeys] : [];
+  }
+
+  /**
+   * Check whether a key is part of the current highlight set
+   * @param {string} key - Key to check
+   * @returns {boolean} - True if the key is highlighted
+   */
+  isHighlighted(key) {
+    return this.getHighlightKeys().includes(String(key).trim());
+  }
+
+  /**
+   * Check whether a connector's groups match the current highlight set
+   * @param {Array<string>} groups - Connector group keys
+   * @returns {boolean} - True if any group is highlighted
+   */
+  connectorMatchesHighlight(groups) {
+    const effectiveKeys = this.getEffectiveHighlightKeys();
+    if (effectiveKeys.length === 0 || !groups) return false;
+    return this.groupsMatchKeys(groups.map(group => group.trim()), effectiveKeys);
+  }
+
+  /**
+   * Replace the highlight keys and/or layers with a single refresh and highlightChange event
+   * The event is skipped when nothing was or is highlighted and no layers are given.
+   * @param {Array<string>|null} keys - Normalized highlight keys, or null to keep the current keys
+   * @param {Map|null} layers - Layers from buildHighlightLayers, or null to keep the current layers
+   * @private
+   */
+  applyHighlightState(keys, layers) {
+    const previousKeys = this.getHighlightKeys();
+    if (keys) {
+      this.currentHighlightKeys = keys.length > 0 ? keys : null;
+    }
+    if (layers) {
+      this.highlightLayers = layers;
+    }
+    this.refreshHighlights();
+
+    if (previousKeys.length > 0 || this.getHighlightKeys().length > 0 || layers) {
+      this.emitHighlightChange(previousKeys);
+    }
+  }
+
+  /**
+   * Emit highlightChange with the keys that were added and removed
+   * @param {Array<string>} previousKeys - Highlight keys before the change
+   */
+  emitHighlightChange(previousKeys) {
+    const keys = this.getHighlightKeys();
+    this.emit('highlightChange', {
+      keys,
+      previousKeys,
+      added: keys.filter(key => !previousKeys.includes(key)),
+      removed: previousKeys.filter(key => !keys.includes(key)),
+      layers: this.getHighlightLayers(),
+      trigger: this.getEventTrigger()
+    });
   }
 
   /**
@@ -4692,126 +8014,516 @@ class Isometric3D {
 
   /**
    * Check if an element matches the selected criteria (data-groups OR data-activate)
+   * The element's groups are the union of its data-groups, data-activate and
+   * data-connector-keys values; each selected key is a group expression evaluated against them.
    * @param {HTMLElement} element - Element to check
-   * @param {Array<string>} selectedKeys - Array of selected key values
+   * @param {Array<string>} selectedKeys - Array of selected keys or group expressions
    * @returns {boolean} - True if element matches any of the selected keys
    */
   elementMatchesCriteria(element, selectedKeys) {
-    // Check data-groups attribute
+    // The hovered element always stays lit, even without groups of its own
+    if (this.hoverHighlightState && this.hoverHighlightState.element === element) {
+      return true;
+    }
+
+    const elementGroups = this.getElementGroups(element);
+
+    // Elements that declare no groups never take part in matching (even for "NOT x")
+    if (elementGroups.length === 0) {
+      return false;
+    }
+
+    return this.groupsMatchKeys(elementGroups, selectedKeys);
+  }
+
+  /**
+   * Collect the group names an element belongs to
+   * data-activate values may be expressions; only their non-negated group names count.
+   * @param {HTMLElement} element - Element to inspect
+   * @returns {Array<string>} - Group names declared on the element
+   */
+  getElementGroups(element) {
+    const groups = [];
+    const addGroups = (values) => {
+      values.forEach(value => {
+        if (value && !groups.includes(value)) groups.push(value);
+      });
+    };
+
     const groupsAttr = element.getAttribute('data-groups');
     if (groupsAttr) {
-      const groups = groupsAttr.split(',').map(g => g.trim());
-      if (groups.some(group => selectedKeys.includes(group))) {
-        return true;
+      addGroups(groupsAttr.split(',').map(g => g.trim()));
+    }
+
+    const activateAttr = element.getAttribute('data-activate');
+    if (activateAttr) {
+      this.normalizeHighlightKeys(activateAttr).forEach(key => {
+        addGroups(this.getExpressionGroups(this.compileGroupExpression(key)));
+      });
+    }
+
+    const connectorKeysAttr = element.getAttribute('data-connector-keys');
+    if (connectorKeysAttr) {
+      addGroups(connectorKeysAttr.split(',').map(k => k.trim()));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Check whether a set of groups satisfies any of the selected keys/expressions
+   * @param {Array<string>} groups - Group names to test
+   * @param {Array<string>} selectedKeys - Selected keys or group expressions (OR-combined)
+   * @returns {boolean} - True if at least one expression matches
+   */
+  groupsMatchKeys(groups, selectedKeys) {
+    return selectedKeys.some(key => this.evaluateGroupExpression(this.compileGroupExpression(key), groups));
+  }
+
+  /**
+   * Parse a group expression, caching the result per instance
+   * A string that is not a valid expression is matched as one literal group name, so keys like
+   * "api(v2)" or "NOT" keep matching the group they name.
+   * @param {string} expression - Group expression
+   * @returns {Object} - Expression tree
+   */
+  compileGroupExpression(expression) {
+    if (!this.groupExpressionCache) {
+      this.groupExpressionCache = new Map();
+    }
+    if (!this.groupExpressionCache.has(expression)) {
+      let tree;
+      try {
+        tree = this.parseGroupExpression(expression);
+      } catch (error) {
+        tree = { type: 'group', name: String(expression).trim() };
+      }
+      this.groupExpressionCache.set(expression, tree);
+    }
+    return this.groupExpressionCache.get(expression);
+  }
+
+  /**
+   * Get the highlight key that matches exactly one group, quoting the name when it would otherwise
+   * be read as an expression (e.g. "R AND D")
+   * @param {string} name - Group name
+   * @returns {string} - Highlight key
+   */
+  getLiteralGroupKey(name) {
+    const tree = this.compileGroupExpression(name);
+    if (tree.type === 'group' && tree.name === name) {
+      return name;
+    }
+    return `"${name.replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  /**
+   * Parse a boolean group expression into an expression tree
+   *
+   * Grammar (keywords are uppercase only, so existing group names like "salt and pepper" keep working):
+   *   expression := term (("OR" | ",") term)*
+   *   term       := factor (("AND" | "NOT") factor)*     "a NOT b" means "a AND NOT b"
+   *   factor     := "NOT" factor | "(" expression ")" | groupName
+   *   groupName  := word+ | quoted                         "my group" is one name (words joined by a space)
+   *   quoted     := '"' characters '"'                     taken literally, e.g. "\"api(v2)\"" ('\"' and '\\' escape)
+   *
+   * Examples: "payments AND external", "backend NOT legacy", "(api OR web) AND NOT beta", "\"R AND D\" OR ops"
+   *
+   * @param {string} expression - Expression to parse
+   * @returns {Object} - Tree of {type: 'group', name} | {type: 'not', operand} | {type: 'and'|'or', left, right}
+   * @throws {Error} - With the offending position when the expression is invalid
+   */
+  parseGroupExpression(expression) {
+    const source = String(expression);
+    const tokens = [];
+    for (const match of source.matchAll(/"((?:[^"\\]|\\.)*)"|[(),"]|[^\s(),"]+/g)) {
+      const text = match[0];
+      const previous = tokens[tokens.length - 1];
+      if (match[1] !== undefined) {
+        // Quoted group name: operators, parentheses and commas inside are part of the name
+        tokens.push({ type: 'group', value: match[1].replace(/\\(.)/g, '$1'), quoted: true, position: match.index });
+      } else if (text === '(' || text === ')' || text === ',' || text === '"') {
+        tokens.push({ type: text, position: match.index });
+      } else if (text === 'AND' || text === 'OR' || text === 'NOT') {
+        tokens.push({ type: text, value: text, position: match.index });
+      } else if (previous && previous.type === 'group' && !previous.quoted) {
+        // Consecutive words form one group name with spaces
+        previous.value += ` ${text}`;
+      } else {
+        tokens.push({ type: 'group', value: text, position: match.index });
+      }
+    }
+
+    let index = 0;
+    const fail = (message, token) => {
+      const where = token ? ` at position ${token.position + 1}` : ' at end of expression';
+      throw new Error(`Invalid group expression "${source}": ${message}${where}`);
+    };
+    const peek = () => tokens[index];
+
+    const parseExpression = () => {
+      let node = parseTerm();
+      while (peek() && (peek().type === 'OR' || peek().type === ',')) {
+        index++;
+        node = { type: 'or', left: node, right: parseTerm() };
+      }
+      return node;
+    };
+
+    const parseTerm = () => {
+      let node = parseFactor();
+      while (peek() && (peek().type === 'AND' || peek().type === 'NOT')) {
+        const operator = tokens[index++];
+        const right = parseFactor();
+        node = {
+          type: 'and',
+          left: node,
+          right: operator.type === 'NOT' ? { type: 'not', operand: right } : right
+        };
+      }
+      return node;
+    };
+
+    const parseFactor = () => {
+      const token = peek();
+      if (!token) {
+        fail('expected a group name');
+      }
+      if (token.type === 'NOT') {
+        index++;
+        return { type: 'not', operand: parseFactor() };
+      }
+      if (token.type === '(') {
+        index++;
+        const node = parseExpression();
+        if (!peek() || peek().type !== ')') {
+          fail('missing closing ")"', peek());
+        }
+        index++;
+        return node;
       }
+      if (token.type === 'group') {
+        index++;
+        return { type: 'group', name: token.value };
+      }
+      fail(`unexpected "${token.value || token.type}"`, token);
+    };
+
+    if (tokens.length === 0) {
+      fail('expression is empty');
+    }
+
+    const tree = parseExpression();
+    if (index < tokens.length) {
+      const token = tokens[index];
+      fail(token.type === 'group' ? `missing operator before "${token.value}"` : `unexpected "${token.value || token.type}"`, token);
+    }
+    return tree;
+  }
+
+  /**
+   * Evaluate a parsed group expression against a list of group names
+   * @param {Object} node - Expression tree from parseGroupExpression
+   * @param {Array<string>} groups - Group names to test
+   * @returns {boolean} - Result of the expression
+   */
+  evaluateGroupExpression(node, groups) {
+    switch (node.type) {
+      case 'group':
+        return groups.includes(node.name);
+      case 'not':
+        return !this.evaluateGroupExpression(node.operand, groups);
+      case 'and':
+        return this.evaluateGroupExpression(node.left, groups) && this.evaluateGroupExpression(node.right, groups);
+      case 'or':
+        return this.evaluateGroupExpression(node.left, groups) || this.evaluateGroupExpression(node.right, groups);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Collect the non-negated group names referenced by an expression
+   * @param {Object} node - Expression tree from parseGroupExpression
+   * @param {boolean} negated - Whether the node sits under an odd number of NOTs
+   * @returns {Array<string>} - Group names
+   */
+  getExpressionGroups(node, negated = false) {
+    switch (node.type) {
+      case 'group':
+        return negated ? [] : [node.name];
+      case 'not':
+        return this.getExpressionGroups(node.operand, !negated);
+      case 'and':
+      case 'or':
+        return [
+          ...this.getExpressionGroups(node.left, negated),
+          ...this.getExpressionGroups(node.right, negated)
+        ];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Apply dimming by modifying color alpha channels instead of opacity/filter
+   * This avoids creating stacking contexts that break transform-style: preserve-3d
+   * @param {HTMLElement} element - Element to dim
+   */
+  applyAlphaDimming(element) {
+    // Store original styles if not already stored
+    // (kept while a transition is running, so a tween never captures half-dimmed colors)
+    if (!element.hasAttribute('data-original-styles')) {
+      const computedStyle = window.getComputedStyle(element);
+      const originalStyles = {
+        backgroundColor: computedStyle.backgroundColor,
+        borderColor: computedStyle.borderColor,
+        color: computedStyle.color,
+        stroke: element.getAttribute('stroke') || '', // For SVG elements
+        fill: element.getAttribute('fill') || '' // For SVG elements
+      };
+      element.setAttribute('data-original-styles', JSON.stringify(originalStyles));
+    }
+
+    const wasDimmed = element.hasAttribute('data-dimmed');
+
+    // Mark as dimmed for state tracking
+    element.setAttribute('data-dimmed', 'true');
+
+    this.transitionElementDimming(element, 1, wasDimmed ? 1 : 0);
+  }
+
+  /**
+   * Restore original colors by removing alpha dimming
+   * @param {HTMLElement} element - Element to restore
+   */
+  restoreElementColors(element) {
+    if (!element.hasAttribute('data-dimmed')) {
+      return; // Not dimmed, nothing to restore
+    }
+
+    // Remove dimmed state
+    element.removeAttribute('data-dimmed');
+
+    this.transitionElementDimming(element, 0, 1);
+  }
+
+  /**
+   * Tween an element between its original (0) and fully dimmed (1) colors
+   * A running tween is retargeted from its current position instead of jumping.
+   * @param {HTMLElement} element - Element to transition
+   * @param {number} target - Target dim amount (0 = original, 1 = dimmed)
+   * @param {number} from - Current dim amount when no tween is running
+   */
+  transitionElementDimming(element, target, from) {
+    const running = this.colorTransitions.get(element);
+    const start = running ? running.amount : from;
+    const duration = this.highlightTransition.duration;
+
+    if (duration <= 0 || start === target || !element.isConnected) {
+      this.colorTransitions.delete(element);
+      this.finishElementDimming(element, target);
+      return;
     }
 
-    // Check data-activate attribute
-    const activateAttr = element.getAttribute('data-activate');
-    if (activateAttr) {
-      const activateKeys = activateAttr.split(',').map(k => k.trim());
-      if (activateKeys.some(key => selectedKeys.includes(key))) {
-        return true;
-      }
+    this.colorTransitions.set(element, {
+      from: start,
+      to: target,
+      amount: start,
+      startTime: this.now()
+    });
+
+    if (!this.colorTransitionFrame) {
+      this.colorTransitionFrame = this.requestFrame(this.stepColorTransitions);
     }
+  }
 
-    // Check data-connector-keys attribute (for SVG connectors)
-    const connectorKeysAttr = element.getAttribute('data-connector-keys');
-    if (connectorKeysAttr) {
-      const connectorKeys = connectorKeysAttr.split(',').map(k => k.trim());
-      if (connectorKeys.some(key => selectedKeys.includes(key))) {
-        return true;
+  /**
+   * Advance all running highlight color transitions by one animation frame
+   * @param {number} currentTime - requestAnimationFrame timestamp
+   */
+  stepColorTransitions(currentTime) {
+    const duration = this.highlightTransition.duration;
+    const easing = this.getHighlightTransitionEasing();
+
+    this.colorTransitions.forEach((transition, element) => {
+      const progress = Math.max(0, Math.min((currentTime - transition.startTime) / duration, 1));
+
+      if (progress >= 1 || !element.isConnected) {
+        this.colorTransitions.delete(element);
+        this.finishElementDimming(element, transition.to);
+        return;
       }
-    }
 
-    return false;
+      transition.amount = transition.from + (transition.to - transition.from) * easing(progress);
+      this.setElementDimAmount(element, transition.amount);
+    });
+
+    this.colorTransitionFrame = this.colorTransitions.size > 0
+      ? this.requestFrame(this.stepColorTransitions)
+      : null;
   }
 
   /**
-   * Apply dimming by modifying color alpha channels instead of opacity/filter
-   * This avoids creating stacking contexts that break transform-style: preserve-3d
-   * @param {HTMLElement} element - Element to dim
+   * Jump an element to the end state of a dimming transition
+   * Once fully restored, the stored original styles are no longer needed.
+   * @param {HTMLElement} element - Element to update
+   * @param {number} amount - Final dim amount (0 or 1)
    */
-  applyAlphaDimming(element) {
-    // Store original styles if not already stored
-    if (!element.hasAttribute('data-original-styles')) {
-      const computedStyle = window.getComputedStyle(element);
-      const originalStyles = {
-        backgroundColor: computedStyle.backgroundColor,
-        borderColor: computedStyle.borderColor,
-        color: computedStyle.color,
-        stroke: element.getAttribute('stroke') || '', // For SVG elements
-        fill: element.getAttribute('fill') || '' // For SVG elements
-      };
-      element.setAttribute('data-original-styles', JSON.stringify(originalStyles));
+  finishElementDimming(element, amount) {
+    this.setElementDimAmount(element, amount);
+
+    if (amount === 0 && !element.hasAttribute('data-dimmed')) {
+      element.removeAttribute('data-original-styles');
     }
+  }
 
-    // Get original styles
+  /**
+   * Write colors between the original (0) and dimmed (1) state
+   * Interpolates between each color's original alpha and the configured dimming alpha.
+   * @param {HTMLElement} element - Element with data-original-styles
+   * @param {number} amount - Dim amount (0-1)
+   */
+  setElementDimAmount(element, amount) {
     const storedStyles = JSON.parse(element.getAttribute('data-original-styles') || '{}');
 
-    // Apply dimmed colors with configured alpha values
-    if (storedStyles.backgroundColor && storedStyles.backgroundColor !== 'rgba(0, 0, 0, 0)') {
-      element.style.backgroundColor = this.modifyColorAlpha(storedStyles.backgroundColor, this.dimmingAlpha.backgroundColor);
+    const blend = (colorString, dimAlpha) => {
+      if (amount <= 0) return colorString;
+      if (amount >= 1) return this.modifyColorAlpha(colorString, dimAlpha);
+
+      const color = this.parseColor(colorString);
+      if (!color) return colorString; // Unparseable (e.g. named colors): switch at the end
+      const alpha = color.a + (dimAlpha - color.a) * amount;
+      return `rgba(${color.r}, ${color.g}, ${color.b}, ${alpha})`;
+    };
+
+    if (storedStyles.backgroundColor && (amount <= 0 || storedStyles.backgroundColor !== 'rgba(0, 0, 0, 0)')) {
+      element.style.backgroundColor = blend(storedStyles.backgroundColor, this.dimmingAlpha.backgroundColor);
     }
 
-    if (storedStyles.borderColor && storedStyles.borderColor !== 'rgba(0, 0, 0, 0)') {
-      element.style.borderColor = this.modifyColorAlpha(storedStyles.borderColor, this.dimmingAlpha.borderColor);
+    if (storedStyles.borderColor && (amount <= 0 || storedStyles.borderColor !== 'rgba(0, 0, 0, 0)')) {
+      element.style.borderColor = blend(storedStyles.borderColor, this.dimmingAlpha.borderColor);
     }
 
     if (storedStyles.color) {
-      element.style.color = this.modifyColorAlpha(storedStyles.color, this.dimmingAlpha.color);
+      element.style.color = blend(storedStyles.color, this.dimmingAlpha.color);
     }
 
     // Handle SVG elements (paths, circles)
     if (element.tagName === 'path' || element.tagName === 'circle') {
       if (storedStyles.stroke) {
-        element.setAttribute('stroke', this.modifyColorAlpha(storedStyles.stroke, this.dimmingAlpha.svg));
+        element.setAttribute('stroke', blend(storedStyles.stroke, this.dimmingAlpha.svg));
       }
       if (storedStyles.fill) {
-        element.setAttribute('fill', this.modifyColorAlpha(storedStyles.fill, this.dimmingAlpha.svg));
+        element.setAttribute('fill', blend(storedStyles.fill, this.dimmingAlpha.svg));
       }
     }
-
-    // Mark as dimmed for state tracking
-    element.setAttribute('data-dimmed', 'true');
   }
 
   /**
-   * Restore original colors by removing alpha dimming
-   * @param {HTMLElement} element - Element to restore
+   * Resolve the configured highlight transition easing
+   * Cached per configured value, so an unknown name warns once instead of on every frame.
+   * @returns {Function} - Easing function mapping progress (0-1) to eased progress
    */
-  restoreElementColors(element) {
-    const storedStyles = JSON.parse(element.getAttribute('data-original-styles') || '{}');
-
-    if (!element.hasAttribute('data-dimmed')) {
-      return; // Not dimmed, nothing to restore
+  getHighlightTransitionEasing() {
+    const easing = this.highlightTransition.easing;
+    if (!this.highlightTransitionEasing || this.highlightTransitionEasing.easing !== easing) {
+      this.highlightTransitionEasing = { easing, resolved: this.getEasing(easing) };
     }
+    return this.highlightTransitionEasing.resolved;
+  }
 
-    // Restore original colors
-    if (storedStyles.backgroundColor) {
-      element.style.backgroundColor = storedStyles.backgroundColor;
+  /**
+   * Resolve an easing name or function
+   * Looks up custom easings from options.easings first, then the built-in curves.
+   * Short names map to their in-out variant ('cubic', 'expo', 'back'); 'spring' settles with a damped overshoot.
+   * @param {string|Function} easing - Easing name or function(t)
+   * @param {string} fallback - Built-in easing used when the name is unknown (default: 'easeInOutQuad')
+   * @returns {Function} - Easing function mapping progress (0-1) to eased progress
+   */
+  getEasing(easing, fallback = 'easeInOutQuad') {
+    if (typeof easing === 'function') return easing;
+    if (easing && typeof this.easings[easing] === 'function') return this.easings[easing];
+
+    const backOvershoot = 1.70158;
+    const backInOut = backOvershoot * 1.525;
+
+    switch (easing) {
+      case 'linear':
+        return t => t;
+      case 'easeInQuad':
+        return t => t * t;
+      case 'easeOutQuad':
+        return t => 1 - (1 - t) * (1 - t);
+      case 'easeInOutQuad':
+        return t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+      case 'easeInCubic':
+        return t => t * t * t;
+      case 'easeOutCubic':
+        return t => 1 - Math.pow(1 - t, 3);
+      case 'cubic':
+      case 'easeInOutCubic':
+        return t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+      case 'easeInExpo':
+        return t => t === 0 ? 0 : Math.pow(2, 10 * t - 10);
+      case 'easeOutExpo':
+        return t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+      case 'expo':
+      case 'easeInOutExpo':
+        return t => {
+          if (t === 0 || t === 1) return t;
+          return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+        };
+      case 'easeInBack':
+        return t => (backOvershoot + 1) * t * t * t - backOvershoot * t * t;
+      case 'easeOutBack':
+        return t => 1 + (backOvershoot + 1) * Math.pow(t - 1, 3) + backOvershoot * Math.pow(t - 1, 2);
+      case 'back':
+      case 'easeInOutBack':
+        return t => t < 0.5
+          ? (Math.pow(2 * t, 2) * ((backInOut + 1) * 2 * t - backInOut)) / 2
+          : (Math.pow(2 * t - 2, 2) * ((backInOut + 1) * (t * 2 - 2) + backInOut) + 2) / 2;
+      case 'spring':
+        // Damped oscillation around the target, exactly 0 and 1 at the ends
+        return t => (t === 0 || t === 1) ? t : 1 - Math.exp(-6 * t) * Math.cos(4.5 * Math.PI * t);
+      default:
+        if (easing) {
+          console.warn(`⚠️ Unknown easing "${easing}", using "${fallback}"`);
+        }
+        return fallback === easing ? (t => t) : this.getEasing(fallback, 'linear');
     }
+  }
 
-    if (storedStyles.borderColor) {
-      element.style.borderColor = storedStyles.borderColor;
-    }
+  /**
+   * Parse a color string into its channels
+   * Handles rgb(), rgba(), #hex formats
+   * @param {string} colorString - Color in rgb(), rgba() or #hex format
+   * @returns {Object|null} - {r, g, b, a} or null for unsupported formats (e.g. named colors)
+   */
+  parseColor(colorString) {
+    if (!colorString) return null;
 
-    if (storedStyles.color) {
-      element.style.color = storedStyles.color;
+    const rgbaMatch = colorString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+    if (rgbaMatch) {
+      const [, r, g, b, a] = rgbaMatch;
+      return { r: parseInt(r), g: parseInt(g), b: parseInt(b), a: a !== undefined ? parseFloat(a) : 1 };
     }
 
-    // Handle SVG elements
-    if (element.tagName === 'path' || element.tagName === 'circle') {
-      if (storedStyles.stroke) {
-        element.setAttribute('stroke', storedStyles.stroke);
-      }
-      if (storedStyles.fill) {
-        element.setAttribute('fill', storedStyles.fill);
+    const hexMatch = colorString.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hexMatch) {
+      let hex = hexMatch[1];
+      if (hex.length === 3) {
+        hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
       }
+      return {
+        r: parseInt(hex.substr(0, 2), 16),
+        g: parseInt(hex.substr(2, 2), 16),
+        b: parseInt(hex.substr(4, 2), 16),
+        a: 1
+      };
     }
 
-    // Remove dimmed state
-    element.removeAttribute('data-dimmed');
+    return null;
   }
 
   /**
@@ -4859,40 +8571,684 @@ class Isometric3D {
     });
   }
 
-  // Clear all highlights
+  // Clear all highlights (primary highlight set and all highlight layers)
   clearHighlights() {
-    // Clear the stored highlight keys
+    const previousKeys = this.getHighlightKeys();
+    const hadLayers = this.highlightLayers.size > 0;
+
+    // Clear the stored highlight keys and layers
     this.currentHighlightKeys = null;
+    this.highlightLayers.clear();
 
-    // Remove .highlighted class from all elements
-    const allHighlighted = this.container.querySelectorAll('.highlighted');
-    allHighlighted.forEach(el => el.classList.remove('highlighted'));
+    this.refreshHighlights();
+
+    if (previousKeys.length > 0 || hadLayers) {
+      this.emitHighlightChange(previousKeys);
+    }
+  }
+
+  /**
+   * Set the keys of a named highlight layer, replacing its previous keys
+   * Each layer tints matching faces and connectors with its own color.
+   * @param {string} name - Layer name (e.g. 'incident')
+   * @param {string|Array<string>} keys - Keys or group expressions for this layer
+   * @param {Object} style - Optional style overrides
+   * @param {string} style.color - Layer color (hex or rgb)
+   * @param {number} style.tintAlpha - Alpha used to tint faces (0-1)
+   */
+  setHighlightLayer(name, keys, style = {}) {
+    this.setHighlightLayers({ [name]: { keys, ...style } }, { replace: false });
+  }
+
+  /**
+   * Set several highlight layers at once with a single redraw
+   * @param {Object} layers - Map of layer name to keys, or to {keys, color, tintAlpha}
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Remove layers that are not listed (default: true)
+   */
+  setHighlightLayers(layers, options = {}) {
+    const nextLayers = this.buildHighlightLayers(layers, options.replace !== false);
+
+    const previousKeys = this.getHighlightKeys();
+    this.highlightLayers = nextLayers;
+    this.refreshHighlights();
+    this.emitHighlightChange(previousKeys);
+  }
 
-    // Restore original colors for all dimmed elements
-    const allDimmed = this.container.querySelectorAll('[data-dimmed="true"]');
-    allDimmed.forEach(el => {
-      this.restoreElementColors(el);
-      el.removeAttribute('data-original-styles');
+  /**
+   * Build the highlight layer map for setHighlightLayers without applying it
+   * @param {Object} layers - Map of layer name to keys, or to {keys, color, tintAlpha}
+   * @param {boolean} replace - Start from no layers instead of the active ones
+   * @returns {Map} - Layer name → {keys, color, tintAlpha}
+   * @private
+   */
+  buildHighlightLayers(layers, replace) {
+    const nextLayers = replace ? new Map() : new Map(this.highlightLayers);
+
+    Object.entries(layers || {}).forEach(([name, definition]) => {
+      const layerName = String(name).trim();
+      // ';' separates the names in data-highlight-layers (and the assignments in data-activate-layers)
+      if (layerName.includes(';')) {
+        throw new Error(`Invalid highlight layer name "${layerName}": ";" is not allowed`);
+      }
+      const isPlainKeys = typeof definition === 'string' || Array.isArray(definition);
+      const keys = this.normalizeHighlightKeys(isPlainKeys ? definition : definition?.keys);
+
+      if (!layerName || keys.length === 0) {
+        nextLayers.delete(layerName);
+        return;
+      }
+
+      const style = this.getHighlightLayerStyle(layerName, isPlainKeys ? {} : definition);
+      nextLayers.set(layerName, { keys, ...style });
     });
 
-    // Redraw SVG to restore all animations
-    this.captureCoordinatesAndDrawSvg();
+    return nextLayers;
+  }
+
+  /**
+   * Remove a named highlight layer
+   * @param {string} name - Layer name
+   */
+  clearHighlightLayer(name) {
+    if (!this.highlightLayers.has(name)) return;
+    this.setHighlightLayers({ [name]: [] }, { replace: false });
+  }
+
+  /**
+   * Remove all highlight layers, keeping the primary highlight set
+   */
+  clearHighlightLayers() {
+    if (this.highlightLayers.size === 0) return;
+    this.setHighlightLayers({});
+  }
+
+  /**
+   * Get the active highlight layers
+   * @returns {Object} - Map of layer name to {keys, color, tintAlpha}
+   */
+  getHighlightLayers() {
+    const layers = {};
+    this.highlightLayers.forEach((layer, name) => {
+      layers[name] = { keys: [...layer.keys], color: layer.color, tintAlpha: layer.tintAlpha };
+    });
+    return layers;
+  }
+
+  /**
+   * Resolve the style of a highlight layer from explicit overrides, the highlightLayers option
+   * and the default palette (in that order)
+   * @param {string} name - Layer name
+   * @param {Object} overrides - Explicit style values
+   * @returns {Object} - {color, tintAlpha}
+   */
+  getHighlightLayerStyle(name, overrides = {}) {
+    const configured = this.highlightLayerStyles[name] || {};
+    const existing = this.highlightLayers.get(name) || {};
+
+    // Unconfigured layers get a stable palette color in order of first use
+    const palette = ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1'];
+    if (!this.highlightLayerColorIndex.has(name)) {
+      this.highlightLayerColorIndex.set(name, this.highlightLayerColorIndex.size);
+    }
+    const paletteIndex = this.highlightLayerColorIndex.get(name);
+
+    return {
+      color: overrides.color || existing.color || configured.color || palette[paletteIndex % palette.length],
+      tintAlpha: overrides.tintAlpha ?? existing.tintAlpha ?? configured.tintAlpha ?? 0.35
+    };
+  }
+
+  /**
+   * Get the layers whose keys match a set of groups
+   * @param {Array<string>} groups - Group names
+   * @returns {Array<Object>} - Matching layers as {name, color, tintAlpha}
+   */
+  getMatchingHighlightLayers(groups) {
+    const matches = [];
+    if (groups.length === 0) return matches;
+    this.highlightLayers.forEach((layer, name) => {
+      if (this.groupsMatchKeys(groups, layer.keys)) {
+        matches.push({ name, color: layer.color, tintAlpha: layer.tintAlpha });
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Blend the colors of overlapping layers into one color (channel average)
+   * @param {Array<Object>} layers - Layers with a color property
+   * @returns {Object|null} - {r, g, b} or null when no color could be parsed
+   */
+  blendHighlightLayerColors(layers) {
+    const colors = layers.map(layer => this.parseColor(layer.color)).filter(Boolean);
+    if (colors.length === 0) return null;
+    return {
+      r: Math.round(colors.reduce((sum, c) => sum + c.r, 0) / colors.length),
+      g: Math.round(colors.reduce((sum, c) => sum + c.g, 0) / colors.length),
+      b: Math.round(colors.reduce((sum, c) => sum + c.b, 0) / colors.length)
+    };
+  }
+
+  /**
+   * Tint elements (and the faces of matching cuboids) that belong to a highlight layer
+   */
+  applyHighlightLayerTints() {
+    if (this.highlightLayers.size === 0) return;
+
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective) return;
+
+    perspective.querySelectorAll('[data-groups], [data-activate]').forEach(element => {
+      const layers = this.getMatchingHighlightLayers(this.getElementGroups(element));
+      if (layers.length === 0) return;
+
+      const blended = this.blendHighlightLayerColors(layers);
+      const color = blended ? `rgb(${blended.r}, ${blended.g}, ${blended.b})` : layers[0].color;
+      const tintAlpha = Math.max(...layers.map(layer => layer.tintAlpha));
+      const tint = blended ? `rgba(${blended.r}, ${blended.g}, ${blended.b}, ${tintAlpha})` : layers[0].color;
+
+      // Cuboids have no surface of their own, so tint their faces instead
+      const targets = element.classList.contains('cuboid')
+        ? [element, ...element.querySelectorAll(':scope > .face')]
+        : [element];
+
+      targets.forEach(target => {
+        this.addHighlightLayerTransition(target);
+        target.classList.add('highlight-layer');
+        layers.forEach(layer => target.classList.add(this.getHighlightLayerClassName(layer.name)));
+        target.setAttribute('data-highlight-layers', layers.map(layer => layer.name).join(';'));
+        target.style.setProperty('--highlight-layer-color', color);
+        target.style.setProperty('--highlight-layer-tint', tint);
+      });
+    });
+  }
+
+  /**
+   * Fade an element's tint in by adding box-shadow to its own transition list
+   * Transitions the element already has (e.g. "all 0.3s" from page CSS) are kept.
+   * @param {HTMLElement} element - Element about to be tinted
+   */
+  addHighlightLayerTransition(element) {
+    if (this.highlightLayerTransitions.has(element)) return;
+
+    // Computed transition lists (commas inside cubic-bezier() are not separators)
+    const style = getComputedStyle(element);
+    const list = (name) => (style[name] || '').split(/,(?![^(]*\))/).map(value => value.trim()).filter(Boolean);
+    const properties = list('transitionProperty');
+    const durations = list('transitionDuration');
+    const timings = list('transitionTimingFunction');
+    const delays = list('transitionDelay');
+    const at = (values, index, fallback) => values.length > 0 ? values[index % values.length] : fallback;
+
+    const transitions = properties
+      .map((property, index) => ({ property, duration: at(durations, index, '0s'), index }))
+      .filter(transition => parseFloat(transition.duration) > 0);
+
+    // Already covered by "all" or an explicit box-shadow transition
+    if (transitions.some(transition => transition.property === 'all' || transition.property === 'box-shadow')) return;
+
+    const existing = transitions.map(({ property, duration, index }) =>
+      `${property} ${duration} ${at(timings, index, 'ease')} ${at(delays, index, '0s')}`);
+    this.highlightLayerTransitions.set(element, element.style.transition);
+    element.style.transition = [...existing, 'box-shadow 0.3s ease'].join(', ');
+  }
+
+  /**
+   * Class name marking elements of a highlight layer
+   * Characters that are not valid in a class token (e.g. spaces) become "-".
+   * @param {string} name - Layer name (e.g. 'affected by incident')
+   * @returns {string} - Class name (e.g. 'highlight-layer-affected-by-incident')
+   */
+  getHighlightLayerClassName(name) {
+    return `highlight-layer-${String(name).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+  }
+
+  /**
+   * Remove all highlight layer tints
+   */
+  removeHighlightLayerTints() {
+    this.container.querySelectorAll('[data-highlight-layers]').forEach(element => {
+      Array.from(element.classList)
+        .filter(className => className.startsWith('highlight-layer'))
+        .forEach(className => element.classList.remove(className));
+      element.removeAttribute('data-highlight-layers');
+      element.style.removeProperty('--highlight-layer-color');
+      element.style.removeProperty('--highlight-layer-tint');
+    });
+
+    this.highlightLayerTransitions.forEach((transition, element) => {
+      element.style.transition = transition;
+    });
+    this.highlightLayerTransitions.clear();
+  }
+
+  /**
+   * Parse a data-activate-layers value: "incident: payments AND external; owners: team-a"
+   * @param {string} value - Attribute value
+   * @returns {Object} - Map of layer name to keys string
+   */
+  parseLayerAssignments(value) {
+    const layers = {};
+    String(value).split(';').forEach(assignment => {
+      const separator = assignment.indexOf(':');
+      if (separator === -1) {
+        if (assignment.trim()) {
+          console.warn(`⚠️ Ignoring highlight layer "${assignment.trim()}": expected "name: keys"`);
+        }
+        return;
+      }
+      const name = assignment.slice(0, separator).trim();
+      const keys = assignment.slice(separator + 1).trim();
+      if (name) {
+        layers[name] = keys;
+      }
+    });
+    return layers;
+  }
+
+  /**
+   * Build the highlight layers for a data-activate-layers value, warning instead of throwing
+   * Navigation replaces all layers, so a missing value removes the active ones.
+   * @param {string|null} layersValue - Raw data-activate-layers attribute value
+   * @returns {Map|null} - Layers for applyHighlightState, or null to keep the current layers
+   */
+  getLayersFromActivate(layersValue) {
+    if (!layersValue && this.highlightLayers.size === 0) return null;
+    try {
+      return this.buildHighlightLayers(layersValue ? this.parseLayerAssignments(layersValue) : {}, true);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring data-activate-layers="${layersValue}": ${error.message}`);
+      return null;
+    }
   }
 
-  // Toggle highlight for specific key
+  /**
+   * Toggle highlight for a specific key (legend-style on/off)
+   * @param {string} key - Key to toggle
+   * @returns {boolean} - True if the key is highlighted after toggling
+   */
   toggleHighlight(key) {
-    // Placeholder for new toggle highlight implementation
+    if (this.isHighlighted(key)) {
+      this.removeHighlight(key);
+      return false;
+    }
+    this.addHighlight(key);
+    return true;
+  }
+
+  /**
+   * Export the current view as a standalone SVG image
+   * Every visible element is flattened into a polygon by projecting its corners through the CSS
+   * transforms of the scene (parallel projection, CSS perspective is ignored) and drawn back to front.
+   * Colors come from the computed styles, so the current highlight and dimming are included; the
+   * connector overlay is copied without hit areas and animated markers. Background images, border
+   * radii and text wrapping are not reproduced (text is drawn as one centered line).
+   * @returns {Blob} - SVG image (image/svg+xml)
+   */
+  exportSVG() {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const perspective = this.container.querySelector('.isometric-perspective');
+    if (!perspective) {
+      throw new Error(`Cannot export "${this.containerId}": no .isometric-perspective element`);
+    }
+
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    const output = document.createElementNS(svgNs, 'svg');
+    output.setAttribute('width', width);
+    output.setAttribute('height', height);
+    output.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const containerStyle = getComputedStyle(this.container);
+    if (this.getColorAlpha(containerStyle.backgroundColor) > 0) {
+      const background = document.createElementNS(svgNs, 'rect');
+      background.setAttribute('width', width);
+      background.setAttribute('height', height);
+      background.setAttribute('fill', containerStyle.backgroundColor);
+      output.appendChild(background);
+    }
+
+    const matrices = new Map();
+    const items = [];
+    const overlay = perspective.querySelector('.scene-overlay');
+
+    perspective.querySelectorAll('*').forEach(element => {
+      if (!(element instanceof HTMLElement) || (overlay && overlay.contains(element))) return;
+
+      const corners = this.getFlatCorners(element);
+      const style = getComputedStyle(element);
+      if (!corners || style.visibility === 'hidden') return;
+
+      const text = Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent).join(' ').replace(/\s+/g, ' ').trim();
+      const hasFill = this.getColorAlpha(style.backgroundColor) > 0;
+      const borderWidth = parseFloat(style.borderTopWidth) || 0;
+      const hasBorder = borderWidth > 0 && this.getColorAlpha(style.borderTopColor) > 0;
+      if (!hasFill && !hasBorder && !text) return;
+
+      const matrix = this.getExportMatrix(element, perspective, matrices);
+      const points = [corners.tl, corners.tr, corners.br, corners.bl]
+        .map(point => this.transformExportPoint(matrix, point.x, point.y));
+
+      // Skip faces turned away from the viewer when their back side is hidden (signed area < 0)
+      const area = points.reduce((sum, point, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + point.x * next.y - next.x * point.y;
+      }, 0);
+      if (style.backfaceVisibility === 'hidden' && area < 0) return;
+
+      const group = document.createElementNS(svgNs, 'g');
+      const opacity = this.getExportOpacity(element, perspective);
+      if (opacity < 1) {
+        group.setAttribute('opacity', +opacity.toFixed(3));
+      }
+
+      if (hasFill || hasBorder) {
+        const polygon = document.createElementNS(svgNs, 'polygon');
+        polygon.setAttribute('points', points.map(point => `${+point.x.toFixed(2)},${+point.y.toFixed(2)}`).join(' '));
+        polygon.setAttribute('fill', hasFill ? style.backgroundColor : 'none');
+        if (hasBorder) {
+          polygon.setAttribute('stroke', style.borderTopColor);
+          polygon.setAttribute('stroke-width', borderWidth);
+        }
+        group.appendChild(polygon);
+      }
+
+      if (text) {
+        // Text is laid out in the element's flat coordinates and mapped with the element's matrix
+        const textGroup = document.createElementNS(svgNs, 'g');
+        textGroup.setAttribute('transform', this.getExportAffineTransform(matrix));
+        const label = document.createElementNS(svgNs, 'text');
+        label.textContent = text;
+        label.setAttribute('x', (corners.tl.x + corners.br.x) / 2);
+        label.setAttribute('y', (corners.tl.y + corners.br.y) / 2);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'central');
+        [['font-size', style.fontSize], ['font-family', style.fontFamily], ['font-weight', style.fontWeight], ['fill', style.color]]
+          .forEach(([name, value]) => {
+            if (value) label.setAttribute(name, value);
+          });
+        textGroup.appendChild(label);
+        group.appendChild(textGroup);
+      }
+
+      const center = this.transformExportPoint(matrix, (corners.tl.x + corners.br.x) / 2, (corners.tl.y + corners.br.y) / 2);
+      items.push({ depth: center.z, node: group });
+    });
+
+    if (overlay) {
+      const overlayMatrix = this.getExportMatrix(overlay, perspective, matrices);
+      const group = document.createElementNS(svgNs, 'g');
+      group.setAttribute('transform', this.getExportAffineTransform(overlayMatrix));
+      group.classList.add('scene-overlay');
+      Array.from(overlay.children).forEach(child => group.appendChild(this.cloneOverlayForExport(child)));
+
+      const center = this.transformExportPoint(overlayMatrix, perspective.offsetWidth / 2, perspective.offsetHeight / 2);
+      items.push({ depth: center.z, node: group });
+    }
+
+    // Back to front; elements at the same depth keep document order (children above parents)
+    items.sort((a, b) => a.depth - b.depth).forEach(item => output.appendChild(item.node));
+
+    const markup = new XMLSerializer().serializeToString(output);
+    return new Blob([markup], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Export the current view as a PNG image (rendered from exportSVG)
+   * @param {Object} options - Export options
+   * @param {number} options.scale - Pixel ratio of the image (default: 2)
+   * @returns {Promise<Blob>} - PNG image (image/png)
+   */
+  exportPNG({ scale = 2 } = {}) {
+    const svgBlob = this.exportSVG();
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    const url = URL.createObjectURL(svgBlob);
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('PNG export failed: the canvas could not be encoded'));
+          }
+        }, 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('PNG export failed: the exported SVG could not be rendered'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Download the current view as an image file (used by the compact controls' export button)
+   * The file is named after the container and the current navigation step, e.g. "viewer-step-3.png".
+   * @param {string} format - 'png' (default) or 'svg'
+   * @param {Object} options - Options for exportPNG
+   * @returns {Promise<Blob>} - The downloaded image
+   */
+  downloadExport(format = 'png', options = {}) {
+    const blobPromise = format === 'svg' ? Promise.resolve(this.exportSVG()) : this.exportPNG(options);
+
+    return blobPromise.then(blob => {
+      const step = this.currentNavIndex >= 0 ? `-step-${this.currentNavIndex + 1}` : '';
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${this.containerId}${step}.${format === 'svg' ? 'svg' : 'png'}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      return blob;
+    });
+  }
+
+  /**
+   * Get the 3D matrix that maps an element's flat layout coordinates (relative to the perspective)
+   * to container coordinates, combining the CSS transforms of the element and all its ancestors
+   * @param {Element} element - Element inside the perspective (or the perspective itself)
+   * @param {HTMLElement} perspective - The perspective element
+   * @param {Map} cache - Element → matrix cache shared during one export
+   * @returns {Array<number>} - 4x4 matrix in column-major order
+   */
+  getExportMatrix(element, perspective, cache) {
+    if (cache.has(element)) return cache.get(element);
+
+    const style = getComputedStyle(element);
+    const transform = this.parseExportTransform(style.transform);
+    const [originX = 0, originY = 0, originZ = 0] = String(style.transformOrigin || '')
+      .split(' ').map(value => parseFloat(value) || 0);
+
+    let matrix;
+    if (element === perspective) {
+      // The perspective is positioned in the container; its local coordinates start at its top-left corner
+      const x = perspective.offsetLeft + originX;
+      const y = perspective.offsetTop + originY;
+      matrix = this.multiplyExportMatrices(
+        this.multiplyExportMatrices(this.getExportTranslation(x, y, originZ), transform),
+        this.getExportTranslation(-originX, -originY, -originZ)
+      );
+    } else {
+      // SVG elements (the overlay) have no offsets; the overlay sits at the perspective's origin
+      const corners = element instanceof HTMLElement ? this.getFlatCorners(element) : null;
+      const x = (corners ? corners.tl.x : 0) + originX;
+      const y = (corners ? corners.tl.y : 0) + originY;
+      const local = this.multiplyExportMatrices(
+        this.multiplyExportMatrices(this.getExportTranslation(x, y, originZ), transform),
+        this.getExportTranslation(-x, -y, -originZ)
+      );
+      matrix = this.multiplyExportMatrices(this.getExportMatrix(element.parentElement, perspective, cache), local);
+    }
+
+    cache.set(element, matrix);
+    return matrix;
+  }
+
+  /**
+   * Parse a computed CSS transform (matrix() or matrix3d()) into a column-major 4x4 matrix
+   * @param {string} value - Computed transform value
+   * @returns {Array<number>} - Matrix (identity for 'none' or unparsable values)
+   */
+  parseExportTransform(value) {
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const match = /^matrix(3d)?\(([^)]*)\)$/.exec(String(value || '').trim());
+    if (!match) return identity;
+
+    const values = match[2].split(',').map(parseFloat);
+    if (match[1]) {
+      return values.length === 16 && values.every(v => !isNaN(v)) ? values : identity;
+    }
+    if (values.length !== 6 || values.some(v => isNaN(v))) return identity;
+    const [a, b, c, d, e, f] = values;
+    return [a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, e, f, 0, 1];
+  }
+
+  /**
+   * @param {number} x - Translation along x
+   * @param {number} y - Translation along y
+   * @param {number} z - Translation along z
+   * @returns {Array<number>} - Column-major translation matrix
+   */
+  getExportTranslation(x, y, z) {
+    return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+  }
+
+  /**
+   * Multiply two column-major 4x4 matrices (a · b)
+   * @returns {Array<number>}
+   */
+  multiplyExportMatrices(a, b) {
+    const result = new Array(16);
+    for (let column = 0; column < 4; column++) {
+      for (let row = 0; row < 4; row++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+          sum += a[k * 4 + row] * b[column * 4 + k];
+        }
+        result[column * 4 + row] = sum;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Map a flat point through an export matrix
+   * @returns {Object} - {x, y, z}; z is the depth used for sorting (larger is closer to the viewer)
+   */
+  transformExportPoint(m, x, y) {
+    return {
+      x: m[0] * x + m[4] * y + m[12],
+      y: m[1] * x + m[5] * y + m[13],
+      z: m[2] * x + m[6] * y + m[14]
+    };
+  }
+
+  /**
+   * Get the SVG transform attribute for the 2D part of an export matrix (exact for parallel projection)
+   * @returns {string} - e.g. "matrix(1 0 0 1 0 0)"
+   */
+  getExportAffineTransform(m) {
+    return `matrix(${[m[0], m[1], m[4], m[5], m[12], m[13]].map(value => +value.toFixed(6)).join(' ')})`;
+  }
+
+  /**
+   * Get an element's effective opacity (its own and its ancestors' up to the perspective)
+   * @returns {number}
+   */
+  getExportOpacity(element, perspective) {
+    let opacity = 1;
+    for (let el = element; el && el !== perspective; el = el.parentElement) {
+      const value = parseFloat(getComputedStyle(el).opacity);
+      if (!isNaN(value)) opacity *= value;
+    }
+    return opacity;
+  }
+
+  /**
+   * Get the alpha of a computed color ('transparent' and rgba(..., 0) are 0)
+   * @param {string} color - Computed color
+   * @returns {number}
+   */
+  getColorAlpha(color) {
+    if (!color || color === 'transparent') return 0;
+    const match = /rgba?\(([^)]*)\)/.exec(color);
+    if (!match) return 1;
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    return parts.length >= 4 ? parseFloat(parts[3]) : 1;
+  }
+
+  /**
+   * Copy a connector overlay node for export: drops hit areas and animations and inlines the
+   * computed paint styles, so CSS classes (dimmed, hovered, ...) keep their effect in the file
+   * @param {Element} node - Overlay node
+   * @returns {Element} - Clone
+   */
+  cloneOverlayForExport(node) {
+    const clone = node.cloneNode(true);
+    const skip = '.connector-hit, .connector-animated-marker, animate, animateMotion, animateTransform';
+    clone.querySelectorAll(skip).forEach(child => child.remove());
+
+    // Pair originals and clones (the clone lost the skipped nodes, so match by walking both trees)
+    const originals = [node, ...node.querySelectorAll('*')].filter(element => !element.closest(skip));
+    const clones = [clone, ...clone.querySelectorAll('*')];
+    originals.forEach((original, i) => {
+      const copy = clones[i];
+      if (!copy || copy.tagName !== original.tagName) return;
+
+      // Inline styles win over the presentation attributes, like the CSS rules they replace
+      const style = getComputedStyle(original);
+      ['stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'fill', 'fill-opacity', 'opacity'].forEach(property => {
+        const value = style.getPropertyValue(property);
+        if (value) copy.style.setProperty(property, value);
+      });
+    });
+    return clone;
   }
 
   destroy() {
+    this.emitWithState('destroy');
+    this.cancelCameraAnimation('destroy');
     this.removeEventListeners();
+    clearTimeout(this.cameraChangeTimer);
+    clearTimeout(this.resizeTimeout);
     clearTimeout(this.urlUpdateTimeout);
+    clearTimeout(this.labelUpdateTimeout);
+    this.cancelFrame(this.colorTransitionFrame);
+    this.cancelFrame(this.connectorRouteFrame);
+    this.cancelFrame(this.connectorRedrawFrame);
+    this.cancelFrame(this.translationAnimationId);
+    this.virtualClock = null;
+    this.handedBackFrames.clear();
+    clearTimeout(this.connectorRedrawTimer);
+    clearTimeout(this.hoverHighlightTimer);
+    this.connectorNodes.clear();
 
     // Clean up compact controls if they exist
     const compactControls = this.container.querySelector('.compact-controls');
     if (compactControls) {
       compactControls.remove();
     }
+
+    // Clean up highlight legend if it exists
+    if (this.highlightLegend) {
+      this.off('highlightChange', this.updateHighlightLegend);
+      this.highlightLegend.remove();
+      this.highlightLegend = null;
+    }
   }
 }
 
@@ -11,6 +11,7 @@
  * @param {number|string} options.stickyThreshold - Top offset where sections become "active". 'auto' (default) = measured from .isometric-wrapper (top + offsetHeight) at runtime. Override with a numeric px value if needed.
  * @param {number} options.stickyGap - Gap in px between the sticky wrapper bottom and the section h2 (default: 10)
  * @param {number} options.scrollDuration - Scroll animation duration in ms (default: 1800)
+ * @param {string|Function} options.scrollEasing - Scroll easing name (see Isometric3D#getEasing) or function (default: 'easeInOutQuad')
  * @param {number} options.debounceDelay - Debounce delay for navigation updates in ms (default: 100)
  * @param {string} options.sectionSelector - CSS selector for content sections (default: '.description-section')
  * @param {string} options.dataSectionAttribute - Attribute name for linking 3D elements to sections (default: 'data-section')
@@ -22,6 +23,7 @@ class ScrollSync {
             stickyThreshold: 'auto',
             stickyGap: 10,
             scrollDuration: 1800,
+            scrollEasing: 'easeInOutQuad',
             debounceDelay: 100,
             sectionSelector: '.description-section',
             dataSectionAttribute: 'data-section',
@@ -96,6 +98,9 @@ class ScrollSync {
             const sectionId = data.element.getAttribute(this.options.dataSectionAttribute);
             // Don't scroll if this navigation was triggered by user scrolling (prevents feedback loop)
             if (sectionId && !this.programmaticScroll && !this.scrollTriggeredNavigation) {
+                // The section is already selected, so scrolling onto it doesn't navigate again
+                // (e.g. a second history entry after the browser Back button)
+                this.currentNavigationTarget = sectionId;
                 this.scrollToSection(sectionId);
             }
         });
@@ -147,10 +152,18 @@ class ScrollSync {
         const resetToInitial = () => {
             if (this.currentNavigationTarget !== null) {
                 this.currentNavigationTarget = null;
+                // Let the controller write the URL: its state token (urlFormat 'token') also holds
+                // other instances, and its history entries ('push' mode) carry the view state
                 const baseUrl = window.location.pathname;
-                window.history.replaceState({}, '', baseUrl);
-                this.controller.resetToDefault({ skipScroll: true });
-                this.controller.clearHighlights();
+                if (typeof this.controller.replaceUrl === 'function') {
+                    this.controller.replaceUrl(baseUrl);
+                } else {
+                    window.history.replaceState({}, '', baseUrl);
+                }
+                this.runAsScroll(() => {
+                    this.controller.resetToDefault({ skipScroll: true });
+                    this.controller.clearHighlights();
+                });
             }
         };
 
@@ -161,7 +174,7 @@ class ScrollSync {
             if (!navElements || navElements.length === 0) return;
             this.currentNavigationTarget = sectionId;
             this.scrollTriggeredNavigation = true;
-            navElements[0].click();
+            this.runAsScroll(() => navElements[0].click());
             setTimeout(() => { this.scrollTriggeredNavigation = false; }, 50);
         };
 
@@ -259,16 +272,13 @@ class ScrollSync {
         const startPosition = window.scrollY;
         const distance = targetPosition - startPosition;
         const duration = this.options.scrollDuration;
+        const ease = this.getScrollEasing();
         const startTime = performance.now();
 
         const animate = (currentTime) => {
             const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            // Use easeInOutQuad for smooth scrolling
-            const eased = progress < 0.5
-                ? 2 * progress * progress
-                : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+            const eased = ease(progress);
 
             window.scrollTo(0, startPosition + distance * eased);
 
@@ -284,6 +294,35 @@ class ScrollSync {
         this.scrollAnimationFrame = requestAnimationFrame(animate);
     }
 
+    /**
+     * Runs a controller call so its events report trigger 'scroll'
+     * @param {Function} callback - Controller calls to run
+     * @private
+     */
+    runAsScroll(callback) {
+        if (typeof this.controller.runWithTrigger === 'function') {
+            this.controller.runWithTrigger('scroll', callback);
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Resolves the configured scroll easing
+     * Uses the controller's easing table (including its custom easings) when available.
+     * @returns {Function} - Easing function mapping progress (0-1) to eased progress
+     * @private
+     */
+    getScrollEasing() {
+        const easing = this.options.scrollEasing;
+        if (typeof easing === 'function') return easing;
+        if (typeof this.controller.getEasing === 'function') {
+            return this.controller.getEasing(easing);
+        }
+        // easeInOutQuad
+        return t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    }
+
     /**
      * Destroys the ScrollSync instance and cleans up event listeners
      * @public
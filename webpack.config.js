@@ -4,7 +4,8 @@ const TerserPlugin = require('terser-webpack-plugin');
 module.exports = {
   entry: {
     'isometric-3d': './src/isometric-3d.js',
-    'scroll-sync': './src/scroll-sync.js'
+    'scroll-sync': './src/scroll-sync.js',
+    'connector-layer': './src/connector-layer.js'
   },
   output: {
     path: path.resolve(__dirname, 'dist'),